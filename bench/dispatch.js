@@ -0,0 +1,161 @@
+'use strict';
+
+/**
+ * Compares the cost of resolving a request to its operation, for apis of growing size, between the layout
+ * `expressroutes` had before the operation index (the docs route, an express route per operation, then a middleware
+ * per path answering the methods it lacks) and the dispatch middleware it now installs. Handlers do nothing, so the
+ * numbers are those of routing alone.
+ *
+ *     node bench/dispatch.js [requests]
+ */
+
+const express = require('express');
+const expressroutes = require('../lib/expressroutes');
+
+const SIZES = [10, 100, 400];
+const REQUESTS = Number(process.argv[2]) || 20000;
+
+/**
+ * Makes an api of `size` operations: collections of `/resources{n}` with a list, create, read and delete operation.
+ * @param size
+ * @returns {{api: Object, routes: Array}}
+ */
+function makeApi(size) {
+    const api = { swagger: '2.0', info: { title: 'bench', version: '1.0.0' }, basePath: '/v1', paths: {} };
+    const routes = [];
+    const handler = function (req, res) {
+        res.done();
+    };
+
+    for (let n = 0; routes.length < size; n++) {
+        const collection = `/resources${n}`;
+        const item = `${collection}/{id}`;
+
+        api.paths[collection] = {};
+        api.paths[item] = {};
+        [[collection, 'get'], [collection, 'post'], [item, 'get'], [item, 'delete']].slice(0, size - routes.length).forEach(entry => {
+            api.paths[entry[0]][entry[1]] = { responses: { 200: { description: 'ok' } } };
+            routes.push({ path: entry[0], method: entry[1], validators: [], handler: handler });
+        });
+    }
+
+    return { api: api, routes: routes };
+}
+
+/**
+ * Routes an api the way `expressroutes` did before the operation index.
+ * @param built
+ * @returns {function}
+ */
+function perRouteLayout(built) {
+    const router = express.Router();
+    const paths = [];
+
+    router.get('/v1/api-docs', function (req, res) {
+        res.done();
+    });
+
+    built.routes.forEach(route => {
+        router[route.method]('/v1' + route.path.replace(/{([^}]+)}/g, ':$1'), route.handler);
+        if (paths.indexOf(route.path) === -1) {
+            paths.push(route.path);
+        }
+    });
+
+    paths.forEach(pathName => {
+        const pattern = new RegExp(`^/v1${pathName.replace(/{[^}]+}/g, '([^/]+?)')}/?$`, 'i');
+
+        router.use(pattern, function notAllowed(req, res, next) {
+            next();
+        });
+    });
+
+    return router;
+}
+
+/**
+ * Routes an api through `expressroutes`.
+ * @param built
+ * @returns {function}
+ */
+function indexLayout(built) {
+    const router = express.Router();
+
+    expressroutes(router, { api: built.api, routes: built.routes });
+
+    return router;
+}
+
+/**
+ * The requests of a run: every operation in turn, the path parameters filled in.
+ * @param built
+ * @returns {Array}
+ */
+function makeRequests(built) {
+    return built.routes.map(route => ({
+        method: route.method.toUpperCase(),
+        url: '/v1' + route.path.replace(/{[^}]+}/g, '42')
+    }));
+}
+
+/**
+ * Sends `REQUESTS` requests through a router, one after the other.
+ * @param router
+ * @param requests
+ * @param callback - called with the requests per second
+ */
+function measure(router, requests, callback) {
+    const start = process.hrtime.bigint();
+    let sent = 0;
+
+    function send() {
+        if (sent === REQUESTS) {
+            return callback(REQUESTS / (Number(process.hrtime.bigint() - start) / 1e9));
+        }
+
+        const template = requests[sent++ % requests.length];
+        const req = Object.assign(Object.create(express.request), { method: template.method, url: template.url, headers: {} });
+        const res = {
+            done: function () {
+                setImmediate(send);
+            }
+        };
+
+        router.handle(req, res, function (err) {
+            throw err || new Error(`${template.method} ${template.url} was not routed.`);
+        });
+    }
+
+    send();
+}
+
+/**
+ * Runs the layouts for each size in turn.
+ */
+function run() {
+    const runs = [];
+
+    SIZES.forEach(size => {
+        const before = makeApi(size);
+        const after = makeApi(size);
+
+        runs.push({ size: size, name: 'route per operation', router: perRouteLayout(before), requests: makeRequests(before) });
+        runs.push({ size: size, name: 'operation index', router: indexLayout(after), requests: makeRequests(after) });
+    });
+
+    console.log(`${REQUESTS} requests per run, spread over every operation\n`);
+
+    (function next() {
+        const current = runs.shift();
+
+        if (!current) {
+            return;
+        }
+        measure(current.router, current.requests, rate => {
+            console.log(`${String(current.size).padStart(4)} operations  ${current.name.padEnd(20)} ${Math.round(rate)} requests/s`);
+            next();
+        });
+    })();
+}
+
+run();
@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+'use strict';
+
+const run = require('../lib/cli');
+
+process.exitCode = run(process.argv.slice(2), {
+    stdout: process.stdout,
+    stderr: process.stderr
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+const assert = require('assert');
+const express = require('express');
+const thing = require('core-util-is');
+const mediatypes = require('./mediatypes');
+
+/**
+ * Multipliers of the units an `x-body-limit` may be given in.
+ */
+const UNITS = {
+    b: 1,
+    kb: 1024,
+    mb: 1024 * 1024,
+    gb: 1024 * 1024 * 1024
+};
+
+/**
+ * Body kinds by the parser reading them, each with a test for the media types it covers.
+ */
+const KINDS = {
+    json: mediaType => mediaType.subtype === 'json' || mediaType.suffix === 'json',
+    urlencoded: mediaType => mediaType.type === 'application' && mediaType.subtype === 'x-www-form-urlencoded',
+    text: mediaType => mediaType.type === 'text',
+    raw: mediaType => mediaType.type === 'application' && mediaType.subtype === 'octet-stream'
+};
+
+/**
+ * Converts a body limit, a number of bytes or a string such as `512kb` or `1mb`, to bytes.
+ * @param limit
+ * @returns {number}
+ */
+function toBytes(limit) {
+    const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(String(limit).trim());
+
+    assert.ok(match, `Expected x-body-limit to be a number of bytes or a size such as '1mb' (${limit}).`);
+
+    return Math.floor(Number(match[1]) * UNITS[(match[2] || 'b').toLowerCase()]);
+}
+
+/**
+ * Reads the `x-body-limit` of an operation, else of its path.
+ * @param pathItem
+ * @param operation
+ * @returns {number|undefined} bytes
+ */
+function bodyLimitOf(pathItem, operation) {
+    const declared = [operation, pathItem]
+        .map(node => node && node['x-body-limit'])
+        .filter(limit => !thing.isNullOrUndefined(limit))[0];
+
+    return thing.isUndefined(declared) ? undefined : toBytes(declared);
+}
+
+/**
+ * Makes the body parsers of the media types an operation consumes: JSON (including `+json` types), urlencoded,
+ * text and raw `application/octet-stream`. Each only reads the media types declared for it, and bodies
+ * something else already parsed are left alone.
+ * @param consumes
+ * @param limit - bytes, body-parser's default when undefined
+ * @returns {Array}
+ */
+function bodyParsers(consumes, limit) {
+    const parsers = {
+        json: options => express.json(Object.assign({ strict: false }, options)),
+        urlencoded: options => express.urlencoded(Object.assign({ extended: true }, options)),
+        text: options => express.text(options),
+        raw: options => express.raw(options)
+    };
+
+    return Object.keys(KINDS).map(kind => {
+        const declared = (consumes || []).filter(mediaType => {
+            const parsed = mediatypes.parse(mediaType);
+            return parsed && KINDS[kind](parsed);
+        });
+
+        return declared.length && parsers[kind]({
+            limit: limit,
+            type: req => Boolean(mediatypes.matchContentType(req.header('content-type'), declared))
+        });
+    }).filter(parser => parser);
+}
+
+module.exports = {
+    bodyLimitOf: bodyLimitOf,
+    bodyParsers: bodyParsers
+};
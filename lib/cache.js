@@ -0,0 +1,240 @@
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const thing = require('core-util-is');
+const utils = require('swaggerize-routes/lib/utils');
+
+/**
+ * Verbs whose successful responses invalidate cached responses.
+ */
+const WRITES = ['post', 'put', 'patch', 'delete'];
+
+/**
+ * Response headers kept with a cached response.
+ */
+const CACHED_HEADERS = ['Cache-Control', 'Content-Type', 'ETag', 'Last-Modified'];
+
+/**
+ * Reads the `x-cache` of a GET operation: `true`, or `{ maxAge, private, cacheControl, memory, ttl }`.
+ * @param operation
+ * @param method
+ * @returns {Object|undefined}
+ */
+function cacheOf(operation, method) {
+    const declared = operation && operation['x-cache'];
+
+    if (method !== 'get' || !declared) {
+        return undefined;
+    }
+
+    const config = declared === true ? {} : declared;
+    const ttl = thing.isNumber(config.ttl) ? config.ttl : config.maxAge;
+
+    assert.ok(!config.memory || thing.isNumber(ttl) && ttl > 0, 'Expected x-cache with memory to have a positive ttl or maxAge.');
+    assert.ok(!config.memory || !config.private, 'Expected x-cache with memory not to be private: responses kept in memory are shared.');
+
+    return Object.assign({}, config, { ttl: ttl });
+}
+
+/**
+ * Tests whether an api caches responses in memory anywhere.
+ * @param api
+ * @returns {boolean}
+ */
+function usesMemory(api) {
+    return Object.keys(api.paths || {}).some(pathName => {
+        const config = cacheOf(api.paths[pathName].get, 'get');
+        return Boolean(config && config.memory);
+    });
+}
+
+/**
+ * Tests whether two request paths are the same or one is a parent of the other.
+ * @param a
+ * @param b
+ * @returns {boolean}
+ */
+function related(a, b) {
+    return a === b || a.indexOf(utils.suffix(b, '/')) === 0 || b.indexOf(utils.suffix(a, '/')) === 0;
+}
+
+/**
+ * Creates the in-memory response cache, holding at most `maxEntries` responses.
+ * @param maxEntries
+ * @returns {{get: function, set: function, invalidate: function}}
+ */
+function memoryCache(maxEntries) {
+    const entries = new Map();
+
+    maxEntries = maxEntries || 1000;
+
+    return {
+        get: function (key) {
+            const entry = entries.get(key);
+
+            if (entry && entry.expires <= Date.now()) {
+                entries.delete(key);
+                return undefined;
+            }
+            return entry;
+        },
+        set: function (key, entry, ttlMs) {
+            entries.delete(key);
+            if (entries.size >= maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+            entries.set(key, Object.assign({ expires: Date.now() + ttlMs }, entry));
+        },
+        invalidate: function (path) {
+            entries.forEach((entry, key) => {
+                if (related(entry.path, path)) {
+                    entries.delete(key);
+                }
+            });
+        }
+    };
+}
+
+/**
+ * The `Cache-Control` of an `x-cache`: its `cacheControl`, else built from `maxAge` and `private`.
+ * @param config
+ * @returns {string}
+ */
+function cacheControl(config) {
+    if (config.cacheControl) {
+        return config.cacheControl;
+    }
+    if (!thing.isNumber(config.maxAge)) {
+        return 'no-cache';
+    }
+    return `${config.private ? 'private' : 'public'}, max-age=${config.maxAge}`;
+}
+
+/**
+ * Computes a strong ETag from a body.
+ * @param body
+ * @returns {string}
+ */
+function etag(body) {
+    return `"${crypto.createHash('sha1').update(body).digest('base64').replace(/=+$/, '')}"`;
+}
+
+/**
+ * Keys a request by its path, negotiated media type and the values of the parameters it was validated against.
+ * @param req
+ * @param validators
+ * @returns {string}
+ */
+function requestKey(req, validators) {
+    const sources = {
+        header: name => req.header(name),
+        path: name => req.params[name],
+        query: name => req.query[name]
+    };
+    const values = validators
+        .map(validator => validator.parameter)
+        .filter(parameter => sources[parameter.in])
+        .map(parameter => [parameter.in, parameter.name, sources[parameter.in](parameter.name)]);
+
+    return JSON.stringify([req.baseUrl + req.path, req.mediaTypes && req.mediaTypes.produces, values]);
+}
+
+/**
+ * Makes the cache entry of a successful response, with the headers needed to serve it again.
+ * @param res
+ * @param body
+ * @param path - the request path, for invalidation
+ * @returns {Object}
+ */
+function cacheEntry(res, body, path) {
+    const headers = {};
+
+    res.set('Last-Modified', res.get('Last-Modified') || new Date().toUTCString());
+    CACHED_HEADERS.forEach(name => {
+        if (res.get(name)) {
+            headers[name] = res.get(name);
+        }
+    });
+
+    return {
+        body: body,
+        headers: headers,
+        path: path,
+        status: res.statusCode,
+        stored: Date.now()
+    };
+}
+
+/**
+ * Makes the caching middleware of a GET operation, run right before its handler. Successful responses get an
+ * ETag and the `Cache-Control` of the `x-cache`, conditional requests get a 304, and with `memory` responses
+ * are kept for `ttl` (defaulting to `maxAge`) seconds and served without calling the handler.
+ * @param config
+ * @param validators - the route's parameter validators
+ * @param responseCache
+ * @returns {function}
+ */
+function cacheResponses(config, validators, responseCache) {
+    const control = cacheControl(config);
+
+    return function (req, res, next) {
+        const path = req.baseUrl + req.path;
+        const key = config.memory && requestKey(req, validators);
+        const cached = key && responseCache.get(key);
+        const send = res.send;
+
+        if (cached) {
+            res.set(cached.headers);
+            res.set('Age', String(Math.floor((Date.now() - cached.stored) / 1000)));
+            res.status(cached.status);
+            return send.call(res, cached.body);
+        }
+
+        res.send = function (body) {
+            const cacheable = (thing.isString(body) || Buffer.isBuffer(body)) && !res.locals.swaggerizeError &&
+                res.statusCode >= 200 && res.statusCode < 300;
+
+            if (cacheable) {
+                res.send = send;
+                res.set('ETag', res.get('ETag') || etag(body));
+                res.set('Cache-Control', res.get('Cache-Control') || control);
+
+                if (key && res.statusCode === 200) {
+                    responseCache.set(key, cacheEntry(res, body, path), config.ttl * 1000);
+                }
+            }
+
+            return send.apply(res, arguments);
+        };
+
+        next();
+    };
+}
+
+/**
+ * Makes the middleware dropping the cached responses of related paths once a write succeeds.
+ * @param responseCache
+ * @returns {function}
+ */
+function invalidateResponses(responseCache) {
+    return function (req, res, next) {
+        const path = req.baseUrl + req.path;
+
+        res.once('finish', () => {
+            if (res.statusCode >= 200 && res.statusCode < 300) {
+                responseCache.invalidate(path);
+            }
+        });
+        next();
+    };
+}
+
+module.exports = {
+    WRITES: WRITES,
+    cacheOf: cacheOf,
+    cacheResponses: cacheResponses,
+    invalidateResponses: invalidateResponses,
+    memoryCache: memoryCache,
+    usesMemory: usesMemory
+};
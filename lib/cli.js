@@ -0,0 +1,309 @@
+'use strict';
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const thing = require('core-util-is');
+const routes = require('swaggerize-routes');
+const utils = require('swaggerize-routes/lib/utils');
+const expressroutes = require('./expressroutes');
+const loadapi = require('./loadapi');
+const openapi = require('./openapi');
+const strict = require('./strict');
+
+const USAGE = `Usage: swaggerize-express-vmt <command> <api> [--handlers <dir>] [--basedir <dir>]
+
+Commands:
+  lint      validates the api and the vendor extensions it declares
+  routes    prints the route table: method, path, consumes, produces and security
+  scaffold  creates the handler files of operations without a handler
+  orphans   lists handler files and verbs that match no operation
+
+Options:
+  --handlers <dir>  the handlers directory, ./handlers by default
+  --basedir <dir>   the directory x-handler and x-authorize paths resolve from, the working directory by default
+`;
+
+const RESERVED = ['await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete',
+    'do', 'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'implements', 'import', 'in',
+    'instanceof', 'interface', 'let', 'new', 'null', 'package', 'private', 'protected', 'public', 'return', 'static',
+    'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield'];
+
+/**
+ * Parses the command line into a command, the api path and options.
+ * @param argv - the arguments after the script
+ * @param cwd
+ * @returns {{command: string, api: string, handlers: string, basedir: string}}
+ */
+function parseArgs(argv, cwd) {
+    const args = { handlers: './handlers', basedir: '.' };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const flag = /^--(handlers|basedir)(?:=(.*))?$/.exec(argv[i]);
+
+        if (!flag) {
+            positional.push(argv[i]);
+            continue;
+        }
+        args[flag[1]] = thing.isUndefined(flag[2]) ? argv[++i] : flag[2];
+    }
+
+    args.command = positional[0];
+    args.api = positional[1] && path.resolve(cwd, positional[1]);
+    args.handlers = path.resolve(cwd, args.handlers || './handlers');
+    args.basedir = path.resolve(cwd, args.basedir || '.');
+
+    return args;
+}
+
+/**
+ * Builds the routes of an api, the way `swaggerize` does.
+ * @param api
+ * @param options - `handlers`, `basedir` and, to route every operation, `defaulthandler`
+ * @returns {Array}
+ */
+function buildRoutes(api, options) {
+    if (openapi.isOpenApi3(api)) {
+        return openapi.buildRoutes(Object.assign({}, options, { api: api }));
+    }
+    return routes(Object.assign({}, options, { api: openapi.withoutRootExtensions(api) }));
+}
+
+/**
+ * Loads an api and routes every operation of it.
+ * @param args
+ * @returns {{api: Object, routes: Array}}
+ */
+function loadRoutes(args) {
+    const api = loadapi.loadApi(args.api).api;
+
+    return {
+        api: api,
+        routes: buildRoutes(api, {
+            basedir: args.basedir,
+            handlers: {},
+            defaulthandler: function placeholder() {}
+        })
+    };
+}
+
+/**
+ * Validates an api: the document, its references and the vendor extensions routes are built from.
+ * @param args
+ * @param out
+ * @returns {number} the exit code
+ */
+function lint(args, out) {
+    const loaded = loadRoutes(args);
+
+    expressroutes(express.Router(), { api: loaded.api, routes: loaded.routes });
+
+    out.stdout.write(`${args.api} is valid: ${loaded.routes.length} operations.\n`);
+    return 0;
+}
+
+/**
+ * Describes the security requirements of an operation, e.g. `apiKey | oauth2(read write)`.
+ * @param api
+ * @param route
+ * @returns {string}
+ */
+function describeSecurity(api, route) {
+    const requirements = expressroutes.securityRequirements(api, route, api.paths[route.path][route.method]);
+
+    return requirements.map(requirement => Object.keys(requirement).map(name => {
+        return requirement[name].length ? `${name}(${requirement[name].join(' ')})` : name;
+    }).join(' + ')).join(' | ');
+}
+
+/**
+ * Prints the route table of an api.
+ * @param args
+ * @param out
+ * @returns {number} the exit code
+ */
+function printRoutes(args, out) {
+    const loaded = loadRoutes(args);
+    const mountpath = utils.unsuffix(utils.prefix(openapi.basePath(loaded.api) || '/', '/'), '/');
+    const rows = [['METHOD', 'PATH', 'CONSUMES', 'PRODUCES', 'SECURITY']].concat(loaded.routes.map(route => [
+        route.method.toUpperCase(),
+        expressroutes.buildRoutePath(mountpath, route.path),
+        (route.consumes || []).join(', ') || '-',
+        (route.produces || []).join(', ') || '-',
+        describeSecurity(loaded.api, route) || '-'
+    ]));
+    const widths = rows[0].map((heading, column) => Math.max.apply(null, rows.map(row => row[column].length)));
+
+    rows.forEach(row => {
+        out.stdout.write(row.map((cell, column) => column < row.length - 1 ? cell + ' '.repeat(widths[column] - cell.length) : cell).join('  ') + '\n');
+    });
+    return 0;
+}
+
+/**
+ * The handler file of a path in the handlers directory layout, e.g. `users/{id}.js` for `/users/{id}`.
+ * @param handlers - the handlers directory
+ * @param pathName
+ * @returns {string|null} null for the root path, which has no file
+ */
+function handlerFile(handlers, pathName) {
+    const segments = pathName.split('/').filter(segment => segment);
+
+    return segments.length ? path.join.apply(path, [handlers].concat(segments)) + '.js' : null;
+}
+
+/**
+ * Whether a name can name a function: an identifier, not a reserved word.
+ * @param name
+ * @returns {boolean}
+ */
+function isFunctionName(name) {
+    return thing.isString(name) && /^[A-Za-z_$][\w$]*$/.test(name) && RESERVED.indexOf(name) === -1;
+}
+
+/**
+ * The source of a new handler file. Handlers are named after their operationId, else their method, and left
+ * anonymous when neither can name a function.
+ * @param pathName
+ * @param missing - `{ method, operation }` of the operations it handles
+ * @returns {string}
+ */
+function handlerSource(pathName, missing) {
+    const handlers = missing.map(entry => {
+        const summary = entry.operation.summary || entry.operation.description;
+        const lines = [`${entry.method.toUpperCase()} ${pathName}`].concat(summary ? [summary.split('\n')[0]] : []);
+        const name = [entry.operation.operationId, entry.method].filter(isFunctionName)[0];
+        const signature = name ? `function ${name}(req, res)` : 'function (req, res)';
+
+        return [
+            '    /**',
+            lines.map(line => `     * ${line}`).join('\n'),
+            '     */',
+            `    ${entry.method}: ${signature} {`,
+            '        res.sendStatus(501);',
+            '    }'
+        ].join('\n');
+    });
+
+    return `'use strict';\n\nmodule.exports = {\n${handlers.join(',\n\n')}\n};\n`;
+}
+
+/**
+ * Creates the handler files of the operations without a handler. Operations on existing files are only listed,
+ * to be added by hand.
+ * @param args
+ * @param out
+ * @returns {number} the exit code
+ */
+function scaffold(args, out) {
+    const api = loadapi.loadApi(args.api).api;
+    const handled = buildRoutes(api, {
+        basedir: args.basedir,
+        handlers: fs.existsSync(args.handlers) ? args.handlers : {}
+    }).map(route => `${route.method} ${route.path}`);
+    const missing = {};
+
+    strict.operations(api)
+        .filter(entry => handled.indexOf(`${entry.method} ${entry.path}`) === -1)
+        .forEach(entry => {
+            missing[entry.path] = (missing[entry.path] || []).concat(entry);
+        });
+
+    Object.keys(missing).forEach(pathName => {
+        const file = handlerFile(args.handlers, pathName);
+        const verbs = missing[pathName].map(entry => entry.method).join(', ');
+
+        if (!file) {
+            out.stderr.write(`skipped ${pathName} (${verbs}): the root path has no handler file, use x-handler.\n`);
+        } else if (fs.existsSync(file)) {
+            out.stderr.write(`add ${verbs} to ${path.relative(args.handlers, file)}\n`);
+        } else {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, handlerSource(pathName, missing[pathName]));
+            out.stdout.write(`created ${path.relative(args.handlers, file)} (${verbs})\n`);
+        }
+    });
+
+    if (!Object.keys(missing).length) {
+        out.stdout.write('Every operation has a handler.\n');
+    }
+    return 0;
+}
+
+/**
+ * Lists the handler files matching no path, and the verbs of handler files matching no operation.
+ * @param args
+ * @param out
+ * @returns {number} the exit code, 1 when there are orphans
+ */
+function orphans(args, out) {
+    const api = loadapi.loadApi(args.api).api;
+    const reported = {};
+
+    if (!fs.existsSync(args.handlers)) {
+        out.stderr.write(`${args.handlers} does not exist.\n`);
+        return 1;
+    }
+
+    // Read afresh, the files may have changed since they were last required.
+    Object.keys(require.cache).forEach(file => {
+        if (file.indexOf(args.handlers + path.sep) === 0) {
+            delete require.cache[file];
+        }
+    });
+
+    const found = strict.orphanHandlers(api, strict.handlerTree(args.handlers));
+
+    found.forEach(orphan => {
+        const file = handlerFile(args.handlers, orphan.path);
+        const where = file ? path.relative(args.handlers, file) : orphan.path;
+
+        if (api.paths && api.paths[orphan.path]) {
+            out.stdout.write(`${where}: no operation ${orphan.method.toUpperCase()} ${orphan.path}\n`);
+        } else if (!reported[orphan.path]) {
+            reported[orphan.path] = true;
+            out.stdout.write(`${where}: no path ${orphan.path}\n`);
+        }
+    });
+
+    if (!found.length) {
+        out.stdout.write('No orphans.\n');
+    }
+    return found.length ? 1 : 0;
+}
+
+/**
+ * Commands by name.
+ */
+const COMMANDS = {
+    lint: lint,
+    orphans: orphans,
+    routes: printRoutes,
+    scaffold: scaffold
+};
+
+/**
+ * Runs the command line tool.
+ * @param argv - the arguments after the script
+ * @param out - `{ stdout, stderr }` streams, and the `cwd` paths resolve from
+ * @returns {number} the exit code
+ */
+function run(argv, out) {
+    const args = parseArgs(argv, out.cwd || process.cwd());
+
+    if (!COMMANDS[args.command] || !args.api) {
+        out.stderr.write(USAGE);
+        return 2;
+    }
+
+    try {
+        return COMMANDS[args.command](args, out);
+    }
+    catch (error) {
+        out.stderr.write(`${error.message}\n`);
+        return 1;
+    }
+}
+
+module.exports = run;
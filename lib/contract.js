@@ -0,0 +1,443 @@
+'use strict';
+
+const assert = require('assert');
+const enjoi = require('enjoi');
+const http = require('http');
+const querystring = require('querystring');
+const thing = require('core-util-is');
+const utils = require('swaggerize-routes/lib/utils');
+const mediatypes = require('./mediatypes');
+const mock = require('./mock');
+const openapi = require('./openapi');
+
+/**
+ * Separators of the delimited array formats, Swagger 2.0 `collectionFormat`s and OpenAPI 3.0 `style`s.
+ */
+const SEPARATORS = {
+    csv: ',',
+    ssv: ' ',
+    tsv: '\t',
+    pipes: '|',
+    spaceDelimited: ' ',
+    pipeDelimited: '|'
+};
+
+/**
+ * The value to send for a parameter: its `example`, `x-example` or first of its `examples`, else a sample of
+ * its schema.
+ * @param api
+ * @param parameter
+ * @returns {*}
+ */
+function parameterValue(api, parameter) {
+    const examples = Object.keys(parameter.examples || {});
+
+    if (!thing.isUndefined(parameter.example)) {
+        return parameter.example;
+    }
+    if (!thing.isUndefined(parameter['x-example'])) {
+        return parameter['x-example'];
+    }
+    if (examples.length) {
+        return openapi.deref(api, parameter.examples[examples[0]]).value;
+    }
+    return mock.sample(api, parameter.schema || parameter);
+}
+
+/**
+ * Serializes an array parameter: repeated for `multi` (and exploded OpenAPI 3.0 query parameters), else joined.
+ * @param parameter
+ * @param value
+ * @returns {string|Array}
+ */
+function serialize(parameter, value) {
+    if (!thing.isArray(value)) {
+        return thing.isObject(value) ? JSON.stringify(value) : String(value);
+    }
+
+    const format = parameter.collectionFormat || parameter.style;
+
+    if (format === 'multi' || exploded(parameter, format)) {
+        return value.map(String);
+    }
+    return value.join(SEPARATORS[format] || ',');
+}
+
+/**
+ * Tests whether an OpenAPI 3.0 query parameter is exploded, as `form` style parameters are unless told otherwise.
+ * @param parameter
+ * @param format - its style
+ * @returns {boolean}
+ */
+function exploded(parameter, format) {
+    return Boolean(parameter.schema) && parameter.in === 'query' && parameter.explode !== false && (!format || format === 'form');
+}
+
+/**
+ * The parameters of an operation, those of its path included, with references resolved.
+ * @param api
+ * @param pathItem
+ * @param operation
+ * @returns {Array}
+ */
+function parametersOf(api, pathItem, operation) {
+    const byKey = {};
+
+    (pathItem.parameters || []).concat(operation.parameters || []).forEach(parameter => {
+        parameter = openapi.deref(api, parameter);
+        byKey[`${parameter.in}:${parameter.name}`] = parameter;
+    });
+
+    return Object.keys(byKey).map(key => byKey[key]);
+}
+
+/**
+ * Picks the media type to send a body as: the first JSON one, else the first.
+ * @param mediaTypes
+ * @returns {string|undefined}
+ */
+function pickMediaType(mediaTypes) {
+    return mediaTypes.filter(mediaType => /[/+]json(;|$)/.test(mediaType))[0] || mediaTypes[0];
+}
+
+/**
+ * Encodes a body in a media type.
+ * @param mediaType
+ * @param value
+ * @returns {string}
+ */
+function encodeBody(mediaType, value) {
+    if (/[/+]json(;|$)/.test(mediaType)) {
+        return JSON.stringify(value);
+    }
+    if (/^application\/x-www-form-urlencoded/.test(mediaType)) {
+        return querystring.stringify(value);
+    }
+    return thing.isString(value) ? value : JSON.stringify(value);
+}
+
+/**
+ * Encodes form fields and files as `multipart/form-data`.
+ * @param fields
+ * @param files - contents by field name
+ * @returns {{contentType: string, body: Buffer}}
+ */
+function encodeMultipart(fields, files) {
+    const boundary = `swaggerize${Date.now().toString(16)}`;
+    const chunks = [];
+
+    Object.keys(fields).forEach(name => {
+        chunks.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${fields[name]}\r\n`));
+    });
+    Object.keys(files).forEach(name => {
+        chunks.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"; filename="${name}"\r\n` +
+            'Content-Type: application/octet-stream\r\n\r\n'), files[name], Buffer.from('\r\n'));
+    });
+    chunks.push(Buffer.from(`--${boundary}--\r\n`));
+
+    return { contentType: `multipart/form-data; boundary=${boundary}`, body: Buffer.concat(chunks) };
+}
+
+/**
+ * Builds the body of a Swagger 2.0 operation, from its `body` or `formData` parameters.
+ * @param api
+ * @param parameters - the parameters to send, with `value`s
+ * @param consumes
+ * @returns {{contentType: string, body: *}|undefined}
+ */
+function swaggerBody(api, parameters, consumes) {
+    const body = parameters.filter(entry => entry.parameter.in === 'body')[0];
+    const form = parameters.filter(entry => entry.parameter.in === 'formData');
+    const fields = {};
+    const files = {};
+
+    if (body) {
+        const mediaType = pickMediaType(consumes || []) || 'application/json';
+        return { contentType: mediaType, body: encodeBody(mediaType, body.value) };
+    }
+    if (!form.length) {
+        return undefined;
+    }
+
+    form.forEach(entry => {
+        if (entry.parameter.type === 'file') {
+            files[entry.parameter.name] = Buffer.from('contract');
+        } else {
+            fields[entry.parameter.name] = serialize(entry.parameter, entry.value);
+        }
+    });
+
+    if (Object.keys(files).length || (consumes || []).indexOf('application/x-www-form-urlencoded') === -1) {
+        return encodeMultipart(fields, files);
+    }
+    return { contentType: 'application/x-www-form-urlencoded', body: querystring.stringify(fields) };
+}
+
+/**
+ * Builds the body of an OpenAPI 3.0 operation from its `requestBody`.
+ * @param api
+ * @param operation
+ * @param override - a body given in the options
+ * @returns {{contentType: string, body: *}|undefined}
+ */
+function openApi3Body(api, operation, override) {
+    const requestBody = openapi.deref(api, operation.requestBody);
+    const mediaType = requestBody && pickMediaType(Object.keys(requestBody.content || {}));
+
+    if (!mediaType) {
+        return undefined;
+    }
+
+    const content = requestBody.content[mediaType];
+    const value = thing.isUndefined(override) ? parameterValue(api, Object.assign({ schema: {} }, content)) : override;
+
+    return { contentType: mediaType, body: encodeBody(mediaType, value) };
+}
+
+/**
+ * Builds the request exercising an operation: required parameters, and optional ones with an example, with
+ * values from `overrides` (`{ path, query, header, body }`) first, then the spec.
+ * @param api
+ * @param entry - `{ path, method, pathItem, operation }`
+ * @param overrides
+ * @returns {{method: string, path: string, headers: Object, body: *}}
+ */
+function buildRequest(api, entry, overrides) {
+    const consumes = entry.operation.consumes || api.consumes;
+    const produces = entry.operation.produces || api.produces;
+    const given = name => overrides[name] || {};
+    const parameters = parametersOf(api, entry.pathItem, entry.operation)
+        .filter(parameter => parameter.required || !thing.isUndefined(parameter.example) ||
+            !thing.isUndefined(parameter['x-example']) || parameter.name in given(parameter.in))
+        .map(parameter => ({
+            parameter: parameter,
+            value: parameter.name in given(parameter.in) ? given(parameter.in)[parameter.name] :
+                parameter.in === 'body' && !thing.isUndefined(overrides.body) ? overrides.body : parameterValue(api, parameter)
+        }));
+    const query = {};
+    const headers = {};
+    let path = entry.path;
+
+    parameters.forEach(item => {
+        const value = serialize(item.parameter, item.value);
+        const targets = {
+            path: () => {
+                path = path.replace(`{${item.parameter.name}}`, encodeURIComponent(value));
+            },
+            query: () => {
+                query[item.parameter.name] = value;
+            },
+            header: () => {
+                headers[item.parameter.name] = value;
+            },
+            cookie: () => {
+                headers.cookie = (headers.cookie ? headers.cookie + '; ' : '') + `${item.parameter.name}=${encodeURIComponent(value)}`;
+            }
+        };
+
+        if (targets[item.parameter.in]) {
+            targets[item.parameter.in]();
+        }
+    });
+
+    const body = openapi.isOpenApi3(api) ? openApi3Body(api, entry.operation, overrides.body) : swaggerBody(api, parameters, consumes);
+    const search = querystring.stringify(query);
+
+    if (body) {
+        headers['content-type'] = body.contentType;
+    }
+    if (produces && produces.length) {
+        headers.accept = produces.join(', ');
+    }
+
+    return {
+        method: entry.method.toUpperCase(),
+        path: utils.unsuffix(openapi.basePath(api) || '/', '/') + path + (search ? `?${search}` : ''),
+        headers: headers,
+        body: body && body.body
+    };
+}
+
+/**
+ * Sends a request to an app served on an ephemeral port.
+ * @param app
+ * @param request
+ * @param callback - `(error, { status, headers, body })`
+ */
+function send(app, request, callback) {
+    const server = http.createServer(app);
+
+    server.listen(0, '127.0.0.1', () => {
+        const req = http.request({
+            host: '127.0.0.1',
+            port: server.address().port,
+            method: request.method,
+            path: request.path,
+            headers: request.headers
+        }, res => {
+            const chunks = [];
+
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                server.close();
+                callback(null, { status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() });
+            });
+        });
+
+        req.on('error', error => {
+            server.close();
+            callback(error);
+        });
+        req.end(request.body);
+    });
+}
+
+/**
+ * Finds the schema a response body must match, and the media types it may be sent as.
+ * @param api
+ * @param response
+ * @param produces
+ * @param contentType
+ * @returns {{schema: Object, mediaTypes: Array}}
+ */
+function expectedBody(api, response, produces, contentType) {
+    if (!response.content) {
+        return { schema: response.schema, mediaTypes: produces || [] };
+    }
+
+    const mediaTypes = Object.keys(response.content);
+    const matched = contentType && mediatypes.matchContentType(contentType, mediaTypes);
+
+    return { schema: matched && response.content[matched].schema, mediaTypes: mediaTypes };
+}
+
+/**
+ * Checks a response against the operation's declared responses: a declared status (or `default`), a
+ * `Content-Type` among the declared media types and a body matching the declared schema.
+ * @param api
+ * @param operation
+ * @param response - `{ status, headers, body }`
+ * @returns {Array} the violations
+ */
+function verify(api, operation, response) {
+    const responses = operation.responses || {};
+    const declared = openapi.deref(api, responses[String(response.status)] || responses.default);
+    const contentType = response.headers['content-type'] || '';
+
+    if (!declared) {
+        return [`Undeclared status code ${response.status} (declared: ${Object.keys(responses).join(', ')})`];
+    }
+
+    return verifyBody(api, expectedBody(api, declared, operation.produces || api.produces, contentType), response.body, contentType);
+}
+
+/**
+ * Checks a response body against the media types and schema expected of it.
+ * @param api
+ * @param expected - `{ schema, mediaTypes }`
+ * @param body
+ * @param contentType
+ * @returns {Array} the violations
+ */
+function verifyBody(api, expected, body, contentType) {
+    const violations = [];
+
+    if (body && expected.mediaTypes.length && !mediatypes.matchContentType(contentType, expected.mediaTypes)) {
+        violations.push(`Content-Type '${contentType}' is not one of '${expected.mediaTypes.join("', '")}'`);
+    }
+    if (expected.schema && /json/.test(contentType)) {
+        Array.prototype.push.apply(violations, verifySchema(api, expected.schema, body));
+    }
+
+    return violations;
+}
+
+/**
+ * Checks a JSON body against a schema.
+ * @param api
+ * @param schema
+ * @param text
+ * @returns {Array} the violations
+ */
+function verifySchema(api, schema, text) {
+    let body;
+
+    try {
+        body = JSON.parse(text);
+    }
+    catch (error) {
+        return [`Malformed JSON body: ${error.message}`];
+    }
+
+    const result = enjoi(schema, { subSchemas: { '#': api } }).options({ abortEarly: false }).validate(body);
+
+    return result.error ? result.error.details.map(detail => detail.message) : [];
+}
+
+/**
+ * Generates the contract test cases of an app: one per operation of its api, sending a request built from the
+ * spec's examples or synthesized values and checking the response against the declared status codes, schemas
+ * and media types.
+ *
+ * Each case is `{ name, method, path, operationId, request, run(callback) }`; `run` calls back with an error
+ * listing the violations in `error.violations`, if any.
+ * @param app - an app with swaggerize mounted, or any request handler when `options.api` is given
+ * @param options - `api` (defaults to `app.swagger.api`), `headers` sent with every request (e.g. credentials) over
+ * those built from the api, `params` overriding values by operationId (`{ path, query, header, body }`) and `skip`,
+ * operationIds to leave out
+ * @returns {Array}
+ */
+function contract(app, options) {
+    options = options || {};
+
+    const api = options.api || app.swagger && app.swagger.api;
+    const cases = [];
+
+    assert.ok(thing.isObject(api), 'Expected an api, as options.api or app.swagger.api.');
+
+    Object.keys(api.paths || {}).forEach(pathName => {
+        const pathItem = api.paths[pathName];
+
+        utils.verbs.filter(verb => pathItem[verb]).forEach(verb => {
+            const operation = pathItem[verb];
+            const operationId = operation.operationId;
+
+            if (operationId && (options.skip || []).indexOf(operationId) > -1) {
+                return;
+            }
+
+            const request = buildRequest(api, { path: pathName, method: verb, pathItem: pathItem, operation: operation },
+                (options.params || {})[operationId] || {});
+
+            request.headers = Object.assign({}, request.headers, options.headers);
+
+            const name = `${verb.toUpperCase()} ${pathName}${operationId ? ` (${operationId})` : ''}`;
+
+            cases.push({
+                name: name,
+                method: verb,
+                path: pathName,
+                operationId: operationId,
+                request: request,
+                run: function (callback) {
+                    send(app, request, (error, response) => {
+                        const violations = error ? [] : verify(api, operation, response);
+
+                        if (error || !violations.length) {
+                            return callback(error || null, response);
+                        }
+
+                        const failure = new Error(`${name} breaks its contract:\n${violations.map(violation => `  - ${violation}`).join('\n')}`);
+                        failure.violations = violations;
+                        failure.response = response;
+                        callback(failure, response);
+                    });
+                }
+            });
+        });
+    });
+
+    return cases;
+}
+
+module.exports = contract;
@@ -0,0 +1,151 @@
+'use strict';
+
+const assert = require('assert');
+const thing = require('core-util-is');
+
+/**
+ * Reads an `x-cors` declaration: `true`, `false`, or `{ origins, credentials, maxAge, exposedHeaders }`.
+ * @param declared
+ * @returns {Object|boolean}
+ */
+function readCors(declared) {
+    if (thing.isBoolean(declared)) {
+        return declared;
+    }
+
+    assert.ok(thing.isObject(declared), 'Expected x-cors to be a boolean or an object.');
+    assert.ok(thing.isUndefined(declared.origins) || declared.origins === '*' || thing.isArray(declared.origins),
+        `Expected x-cors origins to be '*' or an array of origins.`);
+    assert.ok(thing.isUndefined(declared.maxAge) || thing.isNumber(declared.maxAge) && declared.maxAge >= 0,
+        'Expected x-cors maxAge to be a number of seconds.');
+    assert.ok(thing.isUndefined(declared.exposedHeaders) || thing.isArray(declared.exposedHeaders),
+        'Expected x-cors exposedHeaders to be an array of header names.');
+
+    return declared;
+}
+
+/**
+ * Reads the CORS policy of an operation from the `x-cors` of the api, its path and the operation, the more specific
+ * overriding the settings of the others. `x-cors: false` turns CORS off below where it is declared.
+ * @param api
+ * @param pathItem
+ * @param operation
+ * @returns {{origins: (string|Array), credentials: boolean, maxAge: number, exposedHeaders: Array}|undefined}
+ */
+function corsOf(api, pathItem, operation) {
+    const config = [api, pathItem, operation]
+        .map(node => node && node['x-cors'])
+        .filter(declared => !thing.isNullOrUndefined(declared))
+        .map(readCors)
+        .reduce((merged, declared) => declared === false ? undefined : Object.assign({}, merged, declared === true ? {} : declared),
+            undefined);
+
+    return config && {
+        origins: config.origins || '*',
+        credentials: config.credentials === true,
+        maxAge: config.maxAge,
+        exposedHeaders: config.exposedHeaders || []
+    };
+}
+
+/**
+ * The `Access-Control-Allow-Origin` of a request origin: `*`, the origin itself (always so with credentials), or
+ * null when the policy does not allow it.
+ * @param config
+ * @param origin
+ * @returns {string|null}
+ */
+function allowOrigin(config, origin) {
+    if (config.origins === '*') {
+        return config.credentials ? origin : '*';
+    }
+    return config.origins.indexOf(origin) > -1 ? origin : null;
+}
+
+/**
+ * Sets the headers every CORS response of an allowed origin gets.
+ * @param res
+ * @param config
+ * @param allowed - the `Access-Control-Allow-Origin`
+ */
+function setOrigin(res, config, allowed) {
+    res.set('Access-Control-Allow-Origin', allowed);
+    if (config.credentials) {
+        res.set('Access-Control-Allow-Credentials', 'true');
+    }
+}
+
+/**
+ * Answers a preflight request for the method it asks about, listing the methods of the path the origin may call
+ * and the request headers their operations declare. Preflights the policy does not allow are passed on.
+ * @param operations
+ * @param req
+ * @param res
+ * @param next
+ */
+function preflight(operations, req, res, next) {
+    const origin = req.header('origin');
+    const requested = operations[req.header('access-control-request-method').toUpperCase()];
+    const allowed = requested && allowOrigin(requested.config, origin);
+
+    if (!allowed) {
+        return next();
+    }
+
+    const methods = Object.keys(operations).filter(method => allowOrigin(operations[method].config, origin));
+    const headers = methods.reduce((all, method) => all.concat(operations[method].headers.filter(header => {
+        return all.indexOf(header) === -1;
+    })), []);
+
+    setOrigin(res, requested.config, allowed);
+    res.set('Access-Control-Allow-Methods', methods.join(', '));
+    if (headers.length) {
+        res.set('Access-Control-Allow-Headers', headers.join(', '));
+    }
+    if (!thing.isUndefined(requested.config.maxAge)) {
+        res.set('Access-Control-Max-Age', String(requested.config.maxAge));
+    }
+    res.sendStatus(204);
+}
+
+/**
+ * Makes the CORS middleware of a path. Preflight requests are answered from the policies of the path's operations;
+ * other requests from an allowed origin get the headers of their operation's policy.
+ * @param operations - `{ config, headers }` of the path's operations with a policy, by method in upper case;
+ * `headers` are the request headers the operation declares
+ * @returns {function}
+ */
+function corsPolicy(operations) {
+    const varies = Object.keys(operations).some(method => operations[method].config.origins !== '*' ||
+        operations[method].config.credentials);
+
+    return function (req, res, next) {
+        const origin = req.header('origin');
+
+        if (!origin) {
+            return next();
+        }
+        if (varies) {
+            res.vary('Origin');
+        }
+        if (req.method === 'OPTIONS' && req.header('access-control-request-method')) {
+            return preflight(operations, req, res, next);
+        }
+
+        const operation = operations[req.method] || req.method === 'HEAD' && operations.GET;
+        const allowed = operation && allowOrigin(operation.config, origin);
+
+        if (allowed) {
+            setOrigin(res, operation.config, allowed);
+            if (operation.config.exposedHeaders.length) {
+                res.set('Access-Control-Expose-Headers', operation.config.exposedHeaders.join(', '));
+            }
+        }
+        next();
+    };
+}
+
+module.exports = {
+    corsOf: corsOf,
+    corsPolicy: corsPolicy
+};
@@ -0,0 +1,69 @@
+'use strict';
+
+const assert = require('assert');
+const thing = require('core-util-is');
+const debuglog = require('debuglog')('swaggerize-express-vmt');
+
+/**
+ * Reads the deprecation of an operation marked `deprecated: true`: its `x-sunset` date and `x-successor` link.
+ * @param operation
+ * @returns {{sunset: Date|undefined, successor: string|undefined}|undefined}
+ */
+function deprecationOf(operation) {
+    if (!operation || operation.deprecated !== true) {
+        return undefined;
+    }
+
+    const sunset = thing.isNullOrUndefined(operation['x-sunset']) ? undefined : new Date(operation['x-sunset']);
+    const successor = operation['x-successor'];
+
+    assert.ok(!sunset || !isNaN(sunset.getTime()), `Expected x-sunset to be a date (${operation['x-sunset']}).`);
+    assert.ok(thing.isUndefined(successor) || thing.isString(successor) && successor, 'Expected x-successor to be a URL.');
+
+    return { sunset: sunset, successor: successor };
+}
+
+/**
+ * Makes the middleware of a deprecated operation. Responses get a `Deprecation` header, and a `Sunset` and
+ * successor `Link` header when declared. Each call is reported, once it is answered, as a `deprecated` event of
+ * the app and a log line, with the operation and the caller: its IP and `req.auth`. With `sunsetGone`, calls
+ * after the sunset date are answered with a 410 instead.
+ * @param deprecation - `{ sunset, successor }`
+ * @param operation - `{ operationId, method, path }`
+ * @param options
+ * @param createError - `(status, title, description)`
+ * @returns {function}
+ */
+function deprecatedOperation(deprecation, operation, options, createError) {
+    const log = options.log || debuglog;
+
+    return function (req, res, next) {
+        res.set('Deprecation', 'true');
+        if (deprecation.sunset) {
+            res.set('Sunset', deprecation.sunset.toUTCString());
+        }
+        if (deprecation.successor) {
+            res.append('Link', `<${deprecation.successor}>; rel="successor-version"`);
+        }
+
+        res.once('finish', function () {
+            const usage = Object.assign({}, operation, {
+                status: res.statusCode,
+                caller: { ip: req.ip, auth: req.auth }
+            });
+
+            log(`Deprecated operation ${usage.operationId || `${usage.method} ${usage.path}`} called by ${req.ip}${req.auth ? ` (${Object.keys(req.auth).join(', ')})` : ''}.`);
+            req.app.emit('deprecated', usage);
+        });
+
+        if (options.sunsetGone && deprecation.sunset && deprecation.sunset <= new Date()) {
+            return next(createError(410, 'Gone', `${operation.method} ${operation.path} was retired on ${deprecation.sunset.toUTCString()}.`));
+        }
+        next();
+    };
+}
+
+module.exports = {
+    deprecationOf: deprecationOf,
+    deprecatedOperation: deprecatedOperation
+};
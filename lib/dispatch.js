@@ -0,0 +1,193 @@
+'use strict';
+
+/**
+ * Parses a segment of a path template: a parameter (`{id}`, or `:id` as express writes it), a literal, or a literal
+ * with parameters in it, e.g. `{name}.{ext}`.
+ * @param segment
+ * @returns {{param: string}|{literal: string}|{source: string, names: Array}}
+ */
+function parseSegment(segment) {
+    const whole = /^(?:{([^}]+)}|:(\w+))$/.exec(segment);
+    const names = [];
+
+    if (whole) {
+        return { param: whole[1] || whole[2] };
+    }
+    if (segment.indexOf('{') === -1) {
+        return { literal: segment };
+    }
+
+    const source = segment.split(/({[^}]+})/).map(part => {
+        if (/^{[^}]+}$/.test(part)) {
+            names.push(part.slice(1, -1));
+            return '([^/]+?)';
+        }
+        return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }).join('');
+
+    return { source: source, names: names };
+}
+
+/**
+ * Splits a request path into its segments, leaving out the trailing slash unless routing is strict.
+ * @param pathname
+ * @param strict
+ * @returns {Array}
+ */
+function splitPath(pathname, strict) {
+    const segments = pathname.split('/').slice(1);
+
+    if (!strict && segments.length > 1 && segments[segments.length - 1] === '') {
+        segments.pop();
+    }
+    return segments;
+}
+
+/**
+ * Creates a node of the index. Parameters are matched by position, their names being kept with each template, so
+ * templates naming the parameter at a position differently share its node.
+ * @returns {{literals: Object, patterns: Array, param: Object, value: *}}
+ */
+function createNode() {
+    return { literals: {}, patterns: [], param: null, value: undefined };
+}
+
+/**
+ * Creates an index of path templates, a trie of their segments resolving a request path in one walk, whatever the
+ * number of paths. Literal segments are preferred over segments with parameters in them, and those over parameters,
+ * so `/pets/mine` wins over `/pets/{id}` whatever their order.
+ * @param settings - `caseSensitive` and `strict`, as express's `case sensitive routing` and `strict routing`
+ * @returns {{add: function, lookup: function}}
+ */
+function createIndex(settings) {
+    const root = createNode();
+
+    settings = settings || {};
+
+    function fold(segment) {
+        return settings.caseSensitive ? segment : segment.toLowerCase();
+    }
+
+    function child(parent, segment) {
+        const parsed = parseSegment(segment);
+
+        if (parsed.param) {
+            parent.param = parent.param || createNode();
+            return parent.param;
+        }
+        if (parsed.source) {
+            const regexp = new RegExp(`^${parsed.source}$`, settings.caseSensitive ? '' : 'i');
+            const existing = parent.patterns.filter(pattern => pattern.regexp.source === regexp.source)[0];
+
+            if (existing) {
+                return existing.node;
+            }
+            parent.patterns.push({ regexp: regexp, node: createNode() });
+            return parent.patterns[parent.patterns.length - 1].node;
+        }
+        parent.literals[fold(parsed.literal)] = parent.literals[fold(parsed.literal)] || createNode();
+        return parent.literals[fold(parsed.literal)];
+    }
+
+    function walkPatterns(parent, segments, index, params) {
+        let found = null;
+
+        for (let i = 0; !found && i < parent.patterns.length; i++) {
+            const match = parent.patterns[i].regexp.exec(segments[index]);
+
+            if (match) {
+                found = walk(parent.patterns[i].node, segments, index + 1, params.concat(match.slice(1)));
+            }
+        }
+        return found;
+    }
+
+    function walk(parent, segments, index, params) {
+        if (index === segments.length) {
+            return parent.value === undefined ? null : { leaf: parent.value, values: params };
+        }
+
+        const segment = segments[index];
+        const literal = parent.literals[fold(segment)];
+        let found = literal && walk(literal, segments, index + 1, params) || walkPatterns(parent, segments, index, params);
+
+        if (!found && parent.param && segment !== '') {
+            found = walk(parent.param, segments, index + 1, params.concat(segment));
+        }
+        return found || null;
+    }
+
+    return {
+        /**
+         * Adds a path template, e.g. `/v1/pets/{id}`, with the value its requests resolve to.
+         * @param template
+         * @param value
+         */
+        add: function (template, value) {
+            const segments = splitPath(template, true);
+            const names = segments.reduce((all, segment) => {
+                const parsed = parseSegment(segment);
+                return all.concat(parsed.param ? [parsed.param] : parsed.names || []);
+            }, []);
+
+            segments.reduce(child, root).value = { value: value, names: names };
+        },
+
+        /**
+         * Resolves a request path to the value of its template and its raw, still encoded, parameters.
+         * @param pathname
+         * @returns {{value: *, params: Object}|null}
+         */
+        lookup: function (pathname) {
+            const found = walk(root, splitPath(pathname, settings.strict), 0, []);
+
+            return found && {
+                value: found.leaf.value,
+                params: found.leaf.names.reduce((params, name, position) => {
+                    params[name] = found.values[position];
+                    return params;
+                }, {})
+            };
+        }
+    };
+}
+
+/**
+ * Runs a chain of middlewares the way an express route does: errors skip to the next error-handling middleware
+ * (one taking four arguments), and a middleware throwing passes on what it threw.
+ * @param middlewares
+ * @param req
+ * @param res
+ * @param done - called with the error, if any, once the chain is through
+ */
+function runChain(middlewares, req, res, done) {
+    let index = 0;
+
+    function next(err) {
+        const middleware = middlewares[index++];
+
+        if (err === 'route') {
+            return done();
+        }
+        if (!middleware || err === 'router') {
+            return done(err);
+        }
+        if (Boolean(err) !== (middleware.length === 4)) {
+            return next(err);
+        }
+
+        try {
+            return err ? middleware(err, req, res, next) : middleware(req, res, next);
+        }
+        catch (error) {
+            next(error);
+        }
+    }
+
+    next();
+}
+
+module.exports = {
+    createIndex: createIndex,
+    runChain: runChain
+};
@@ -0,0 +1,166 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const thing = require('core-util-is');
+const yaml = require('js-yaml');
+const utils = require('swaggerize-routes/lib/utils');
+const mediatypes = require('./mediatypes');
+const openapi = require('./openapi');
+
+/**
+ * Vendor extensions left out of the served document unless `docsExtensions` says otherwise.
+ */
+const DEFAULT_EXTENSIONS = ['x-authorize', 'x-handler', 'x-internal'];
+
+/**
+ * Media types the document can be served as, JSON first.
+ */
+const MEDIA_TYPES = ['application/json', 'application/yaml', 'application/x-yaml', 'text/yaml'];
+
+/**
+ * Copies a document, leaving out the given vendor extensions at any depth.
+ * @param node
+ * @param extensions
+ * @returns {*}
+ */
+function strip(node, extensions) {
+    if (thing.isArray(node)) {
+        return node.map(item => strip(item, extensions));
+    }
+    if (!thing.isObject(node) || thing.isDate(node)) {
+        return node;
+    }
+
+    const copy = {};
+    Object.keys(node).forEach(key => {
+        if (extensions.indexOf(key) === -1) {
+            copy[key] = strip(node[key], extensions);
+        }
+    });
+    return copy;
+}
+
+/**
+ * Keeps the operations that are not `x-internal` and, when tags are given, carry one of them.
+ * Paths left without operations are dropped.
+ * @param api
+ * @param tags
+ */
+function filterOperations(api, tags) {
+    const visible = operation => operation['x-internal'] !== true &&
+        (!tags.length || (operation.tags || []).some(tag => tags.indexOf(tag) > -1));
+
+    Object.keys(api.paths || {}).forEach(pathName => {
+        const pathItem = api.paths[pathName];
+        const verbs = utils.verbs.filter(verb => pathItem[verb]);
+
+        verbs.forEach(verb => {
+            if (pathItem['x-internal'] === true || !visible(pathItem[verb])) {
+                delete pathItem[verb];
+            }
+        });
+
+        if (verbs.length && !verbs.some(verb => pathItem[verb])) {
+            delete api.paths[pathName];
+        }
+    });
+
+    if (tags.length && thing.isArray(api.tags)) {
+        api.tags = api.tags.filter(tag => tags.indexOf(tag.name) > -1);
+    }
+}
+
+/**
+ * The host the request was made to, from `X-Forwarded-Host` when the app trusts the proxy.
+ * @param req
+ * @returns {string}
+ */
+function requestHost(req) {
+    const trust = req.app.get('trust proxy fn');
+    const forwarded = trust && trust(req.connection.remoteAddress, 0) && req.header('x-forwarded-host');
+
+    return (forwarded || req.header('host') || '').split(',')[0].trim();
+}
+
+/**
+ * Points the document at the host and scheme the request came through.
+ * @param api
+ * @param req
+ */
+function rewriteHost(api, req) {
+    const host = requestHost(req);
+
+    if (!host) {
+        return;
+    }
+    if (openapi.isOpenApi3(api)) {
+        api.servers = [{ url: `${req.protocol}://${host}${utils.unsuffix(openapi.basePath(api), '/')}` }];
+        return;
+    }
+    api.host = host;
+    api.schemes = [req.protocol];
+}
+
+/**
+ * The tags asked for with `?tag=a&tag=b` or `?tag=a,b`.
+ * @param query
+ * @returns {Array}
+ */
+function requestedTags(query) {
+    return [].concat(query.tag || []).join(',').split(',').filter(tag => tag);
+}
+
+/**
+ * The last time the document changed: the newest of its files, else when it was loaded.
+ * @param options
+ * @returns {Date}
+ */
+function lastModified(options) {
+    const time = (options.apiFiles || []).reduce((latest, file) => {
+        try {
+            return Math.max(latest, fs.statSync(file).mtime.getTime());
+        }
+        catch (error) {
+            return latest;
+        }
+    }, 0) || Date.now();
+
+    return new Date(Math.floor(time / 1000) * 1000);
+}
+
+/**
+ * Makes the docs route handler. It serves the document as JSON or, with `?format=yaml` or an `Accept` asking for
+ * it, as YAML; with `host`/`schemes` (OpenAPI 3.0: `servers`) taken from the request, `docsExtensions` and
+ * `x-internal` operations left out, optionally only the operations tagged `?tag=`, and with an `ETag` and
+ * `Last-Modified` for conditional requests.
+ * @param options
+ * @returns {function}
+ */
+function docs(options) {
+    const extensions = options.docsExtensions || DEFAULT_EXTENSIONS;
+    const modified = lastModified(options).toUTCString();
+
+    return function serveDocs(req, res) {
+        const api = JSON.parse(JSON.stringify(options.docsoriginal && options.originalApi || options.api));
+        const format = String(req.query.format || '').toLowerCase();
+        const mediaType = format ?
+            (format === 'yaml' ? 'application/yaml' : 'application/json') :
+            mediatypes.negotiate(req.header('accept'), MEDIA_TYPES) || 'application/json';
+
+        filterOperations(api, requestedTags(req.query));
+        rewriteHost(api, req);
+
+        const document = strip(api, extensions);
+        const body = mediaType === 'application/json' ?
+            JSON.stringify(document, req.app.get('json replacer'), req.app.get('json spaces')) :
+            yaml.safeDump(document);
+
+        res.set('ETag', `"${crypto.createHash('sha1').update(body).digest('base64')}"`);
+        res.set('Last-Modified', modified);
+        res.type(mediaType);
+        res.send(body);
+    };
+}
+
+module.exports = docs;
@@ -0,0 +1,167 @@
+'use strict';
+
+const http = require('http');
+const thing = require('core-util-is');
+
+const DEFAULT_NAME = 'SwaggerizeExpressVmt';
+
+/**
+ * `type` values body-parser gives the errors it raises for unreadable request bodies.
+ */
+const BODY_ERROR_TYPES = [
+    'charset.unsupported',
+    'encoding.unsupported',
+    'entity.parse.failed',
+    'entity.too.large',
+    'entity.verify.failed',
+    'request.size.invalid'
+];
+
+/**
+ * Creates an error raised by this library.
+ * @param status - the HTTP status code
+ * @param title
+ * @param detail
+ * @param errors - the individual `errors` entries, when there are several
+ * @returns {Error}
+ */
+function createError(status, title, detail, errors) {
+    const error = new Error(detail || title);
+    error.description = detail;
+    error.errors = errors;
+    error.name = DEFAULT_NAME;
+    error.status = status;
+    error.title = title;
+    error.swaggerize = true;
+    return error;
+}
+
+/**
+ * Picks the status for a set of errors: their shared status, else the most severe class.
+ * @param errors
+ * @returns {number}
+ */
+function statusOf(errors) {
+    if (errors.every(err => err.status === errors[0].status)) {
+        return errors[0].status;
+    }
+    return errors.some(err => err.status >= 500) ? 500 : 400;
+}
+
+/**
+ * Converts an error to `errors` entries, or returns null when it did not originate here.
+ * @param err
+ * @returns {Array|null}
+ */
+function toEntries(err) {
+    if (err.swaggerize) {
+        return err.errors || [{
+            detail: err.description,
+            status: err.status,
+            title: err.title
+        }];
+    }
+    if (BODY_ERROR_TYPES.indexOf(err.type) > -1) {
+        return [{
+            detail: err.message,
+            source: {
+                in: 'body'
+            },
+            status: err.status || 400,
+            title: (err.status || 400) === 400 ? 'Malformed Request Body' : http.STATUS_CODES[err.status]
+        }];
+    }
+    return null;
+}
+
+/**
+ * Built-in error formatters. A formatter receives the `errors` entries and returns the response body.
+ */
+const formatters = {
+    /**
+     * `{ errors: [...] }`
+     */
+    errors: function (errors) {
+        return {
+            errors: errors
+        };
+    },
+
+    /**
+     * RFC 7807 `application/problem+json`, with every entry listed under the `errors` extension member.
+     */
+    problem: function (errors, req, res) {
+        const status = statusOf(errors);
+
+        res.type('application/problem+json');
+
+        return {
+            type: 'about:blank',
+            title: http.STATUS_CODES[status] || errors[0].title,
+            status: status,
+            detail: errors.map(err => err.detail).filter(detail => detail).join('; ') || undefined,
+            instance: req.originalUrl,
+            errors: errors
+        };
+    }
+};
+
+/**
+ * Resolves the `errorFormatter` option to a formatter function.
+ * @param options
+ * @returns {function}
+ */
+function formatterFor(options) {
+    if (thing.isFunction(options.errorFormatter)) {
+        return options.errorFormatter;
+    }
+    return formatters[options.errorFormatter || 'errors'];
+}
+
+/**
+ * Sends `errors` entries with the configured formatter, replacing anything the response was about to send.
+ * @param req
+ * @param res
+ * @param errors
+ * @param options
+ */
+function send(req, res, errors, options) {
+    const name = options.errorname || DEFAULT_NAME;
+    const entries = errors.map(err => Object.assign({ name: name }, err));
+
+    // Marks the response as a library error, which response validation leaves alone.
+    res.locals.swaggerizeError = true;
+    res.removeHeader('Content-Type');
+    res.removeHeader('Content-Length');
+    res.status(statusOf(entries));
+    return res.json(formatterFor(options)(entries, req, res));
+}
+
+/**
+ * Makes the error-handling middleware rendering every error raised by this library, and malformed
+ * request bodies, through the configured formatter. Other errors are passed on untouched.
+ * @param options
+ * @returns {function}
+ */
+function errorHandler(options) {
+    return function handleSwaggerizeError(err, req, res, next) {
+        const entries = err && toEntries(err);
+
+        if (res.locals.swaggerizeTimedOut) {
+            // Already answered; what a handler raises after its timeout has nowhere to go.
+            return;
+        }
+        if (!entries || res.headersSent) {
+            return next(err);
+        }
+
+        send(req, res, entries, options);
+    };
+}
+
+module.exports = {
+    createError: createError,
+    errorHandler: errorHandler,
+    formatters: formatters,
+    send: send
+};
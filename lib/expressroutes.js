@@ -1,12 +1,26 @@
 'use strict';
 
+const assert = require('assert');
 const async = require('async');
+const http = require('http');
 const path = require('path');
 const thing = require('core-util-is');
 const utils = require('swaggerize-routes/lib/utils');
-const pathRegexp = require('path-to-regexp');
-
-let errorName;
+const makeResponseValidator = require('./responsevalidator');
+const mediatypes = require('./mediatypes');
+const errors = require('./errors');
+const openapi = require('./openapi');
+const security = require('./security');
+const docs = require('./docs');
+const ratelimit = require('./ratelimit');
+const cache = require('./cache');
+const multipart = require('./multipart');
+const bodyparser = require('./bodyparser');
+const timeout = require('./timeout');
+const deprecation = require('./deprecation');
+const cors = require('./cors');
+const dispatch = require('./dispatch');
+const enjoi = require('enjoi');
 
 /**
  * Makes default accessor functions for a specific data location, e.g. query, params etc
@@ -24,6 +38,31 @@ function defaultAccessor(dataLoc) {
     };
 }
 
+/**
+ * Parses a Cookie header, for apps not using a cookie parser. Values that are not valid URI encodings are kept as sent.
+ * @param header
+ * @returns {Object}
+ */
+function parseCookies(header) {
+    const cookies = {};
+
+    (header || '').split(';').forEach(pair => {
+        const index = pair.indexOf('=');
+        if (index > 0) {
+            const value = pair.slice(index + 1).trim();
+
+            try {
+                cookies[pair.slice(0, index).trim()] = decodeURIComponent(value);
+            }
+            catch (error) {
+                cookies[pair.slice(0, index).trim()] = value;
+            }
+        }
+    });
+
+    return cookies;
+}
+
 function valueAccessor(param, consumes) {
     if (param.in === 'path') {
         return defaultAccessor('params');
@@ -41,6 +80,16 @@ function valueAccessor(param, consumes) {
             }
         };
     }
+    if (param.in === 'cookie') {
+        return {
+            get: function(req, key) {
+                return (req.cookies || parseCookies(req.header('cookie')))[key];
+            },
+            set: function(req, key) {
+              // noop
+            }
+        };
+    }
     if (param.in === 'body') {
         return {
             get: function(req) {
@@ -54,10 +103,8 @@ function valueAccessor(param, consumes) {
     if (param.in === 'formData') {
         return {
             get: function(req, key) {
-                var file = req.file || Array.isArray(req.files) && req.files[0];
-                if (param.type === 'file' &&
-                    !thing.isNullOrUndefined(file.fieldname) &&
-                    file.fieldname === key) {
+                var file = param.type === 'file' && multipart.requestFiles(req, key)[0];
+                if (file) {
 
                     if (file.buffer) {
                         // when using InMemory option you get back a raw Buffer
@@ -77,6 +124,161 @@ function valueAccessor(param, consumes) {
 }
 
 
+/**
+ * Locations `req.swagger.params` groups parameters by.
+ */
+const PARAMETER_LOCATIONS = ['path', 'query', 'header', 'cookie', 'body', 'formData'];
+
+/**
+ * Separators of the delimited `collectionFormat`s.
+ */
+const SEPARATORS = {
+    csv: ',',
+    ssv: ' ',
+    tsv: '\t',
+    pipes: '|'
+};
+
+/**
+ * Reads the raw value of a parameter, falling back to its `default` when it is optional, and splits a
+ * delimited array by its `collectionFormat`. A single `multi` value is never split.
+ * @param req
+ * @param parameter
+ * @param accessor
+ * @returns {*}
+ */
+function readParameter(req, parameter, accessor) {
+    let value = accessor.get(req, parameter.name);
+
+    if (thing.isUndefined(value) && !parameter.required) {
+        value = thing.isArray(parameter.default) ? parameter.default.slice() : parameter.default;
+    }
+    if (parameter.type === 'array' && thing.isString(value) && value !== '') {
+        return parameter.collectionFormat === 'multi' ? [value] : value.split(SEPARATORS[parameter.collectionFormat || 'csv']);
+    }
+    return value;
+}
+
+/**
+ * The declared parameters of a request by location, created on first use.
+ * @param req
+ * @returns {Object}
+ */
+function swaggerParams(req) {
+    req.swagger = req.swagger || {};
+    if (!req.swagger.params) {
+        req.swagger.params = {};
+        PARAMETER_LOCATIONS.forEach(location => {
+            req.swagger.params[location] = {};
+        });
+    }
+    return req.swagger.params;
+}
+
+/**
+ * Stores a validated parameter value, both where it was read from and in `req.swagger.params`. File parameters
+ * hold their file objects.
+ * @param req
+ * @param parameter
+ * @param accessor
+ * @param value
+ */
+function assignParameter(req, parameter, accessor, value) {
+    accessor.set(req, parameter.name, value);
+    swaggerParams(req)[parameter.in][parameter.name] = parameter.type === 'file' ? fileValue(req, parameter, value) : value;
+}
+
+/**
+ * The value of a file parameter: its file, or every file of the field when `x-max-count` allows several.
+ * Files sent as plain form fields keep their text.
+ * @param req
+ * @param parameter
+ * @param value - the validated value
+ * @returns {*}
+ */
+function fileValue(req, parameter, value) {
+    const files = multipart.requestFiles(req, parameter.name);
+
+    if (!files.length) {
+        return value && value.value;
+    }
+    return parameter['x-max-count'] > 1 ? files : files[0];
+}
+
+/**
+ * Converts a Joi error path (e.g. `tags.0.name`) to a JSON pointer (e.g. `/tags/0/name`).
+ * @param path
+ * @returns {string}
+ */
+function toPointer(path) {
+    if (!path) {
+        return '';
+    }
+    return String(path).split('.')
+        .map(token => '/' + token.replace(/~/g, '~0').replace(/\//g, '~1'))
+        .join('');
+}
+
+/**
+ * Describes which input failed: the parameter's location and name, plus a JSON pointer for body errors.
+ * @param parameter
+ * @param detail
+ * @returns {{in: string, name: string, pointer: string}}
+ */
+function errorSource(parameter, detail) {
+    const source = {
+        in: parameter.in,
+        name: parameter.name
+    };
+    if (parameter.in === 'body') {
+        source.pointer = toPointer(detail.path);
+    }
+    return source;
+}
+
+/**
+ * Picks the status and title reported for a failed parameter.
+ * @param parameter
+ * @param value
+ * @param error
+ * @returns {{status: number, title: string}}
+ */
+function errorStatus(parameter, value, error) {
+    if (parameter.required && !value) {
+        return { status: 400, title: 'Missing Value for Required Header' };
+    }
+    if (parameter.name && parameter.name.toLowerCase() === 'content-type') {
+        return { status: 415, title: 'Unsupported Media Type' };
+    }
+    return { status: 400, title: error.name || 'Bad Request' };
+}
+
+/**
+ * Builds the `errors` entries for a failed parameter validation, one per failing detail.
+ * @param validator
+ * @param value
+ * @param error
+ * @returns {Array}
+ */
+function validationErrors(validator, value, error) {
+    const parameter = validator.parameter;
+    const status = errorStatus(parameter, value, error);
+    let details = error.details || [];
+
+    if (parameter.in === 'body' && validator.schema && !thing.isNullOrUndefined(value)) {
+        // swaggerize-routes rewrites detail paths to the parameter name, so validate again for body pointers.
+        const result = validator.schema.options({ abortEarly: false }).validate(value);
+        details = result.error ? result.error.details : details;
+    }
+
+    return (details.length ? details : [{}]).map(detail => ({
+        detail: detail.message || 'Validation Error',
+        source: errorSource(parameter, detail),
+        status: status.status,
+        title: status.title
+    }));
+}
+
 /**
  * Makes a validator function, to validate data input per the Swagger API spec.
  * @param {{}} validator
@@ -94,27 +296,15 @@ function makeValidator(validator, consumes) {
         var accessor, value;
 
         accessor = valueAccessor(parameter, consumes);
-        value = accessor.get(req, parameter.name);
+        value = readParameter(req, parameter, accessor);
 
         validate(value, function (error, newvalue) {
             if (error) {
-                const err = {
-                    detail: error.details && error.details[0] && error.details[0].message || 'Validation Error',
-                    status: 400,
-                    title: error.name || 'Bad Request'    
-                };
-                if (parameter.name && parameter.name.toLowerCase() === 'content-type') {
-                    err.status = 415;
-                    err.title = 'Unsupported Media Type';
-                }
-                if (parameter.required && !value) {
-                    err.status = 400;
-                    err.title = 'Missing Value for Required Header';
-                }
-                return res.status(err.status).send({ errors: [err] });
+                const err = validationErrors(validator, value, error)[0];
+                return next(errors.createError(err.status, err.title, err.detail, [err]));
             }
 
-            accessor.set(req, parameter.name, newvalue);
+            assignParameter(req, parameter, accessor, newvalue);
             next();
         });
     }
@@ -122,6 +312,111 @@ function makeValidator(validator, consumes) {
     return validateInput;
 }
 
+/**
+ * Makes a single validator function running every parameter validator of an operation, then its request body
+ * check if any, so that all failures are reported in one response.
+ * @param validators
+ * @param consumes
+ * @param checkBody - the request body check of an OpenAPI 3.0 operation, see `requestBodyCheck`
+ * @returns {function}
+ */
+function makeValidators(validators, consumes, checkBody) {
+
+    function validateInputs(req, res, next) {
+        const failures = [];
+
+        async.eachSeries(validators, function (validator, done) {
+            const parameter = validator.parameter;
+            const accessor = valueAccessor(parameter, consumes);
+            const value = readParameter(req, parameter, accessor);
+
+            validator.validate(value, function (error, newvalue) {
+                if (error) {
+                    Array.prototype.push.apply(failures, validationErrors(validator, value, error));
+                } else {
+                    assignParameter(req, parameter, accessor, newvalue);
+                }
+                done();
+            });
+        }, function () {
+            const invalidBody = checkBody && checkBody(req);
+
+            if (failures.length) {
+                return next(errors.createError(400, 'Bad Request', invalidBody ? 'Request validation failed' : 'Parameter validation failed',
+                    failures.concat(invalidBody ? invalidBody.errors : [])));
+            }
+            next(invalidBody);
+        });
+    }
+
+    return validateInputs;
+}
+
+/**
+ * Makes the check of an OpenAPI 3.0 `requestBody`, validating the body against the schema declared for the media
+ * type the request was sent as. The body is also `req.swagger.params.body.body`.
+ * @param requestBody
+ * @param options
+ * @returns {function} taking the request, returning the error listing every failure, if any
+ */
+function requestBodyCheck(requestBody, options) {
+    const schemas = {};
+
+    Object.keys(requestBody.content || {}).forEach(mediaType => {
+        const schema = requestBody.content[mediaType].schema;
+        if (schema) {
+            schemas[mediaType] = enjoi(schema, { subSchemas: { '#': options.api } }).options({ abortEarly: false });
+        }
+    });
+
+    return function checkRequestBody(req) {
+        const schema = schemas[req.mediaTypes && req.mediaTypes.consumes];
+
+        if (!hasBody(req)) {
+            return requestBody.required ? errors.createError(400, 'Missing Value for Required Body', 'Request body is required', [{
+                detail: 'Request body is required',
+                source: { in: 'body', pointer: '' },
+                status: 400,
+                title: 'Missing Value for Required Body'
+            }]) : undefined;
+        }
+        if (!schema) {
+            swaggerParams(req).body.body = req.body;
+            return undefined;
+        }
+
+        const result = schema.validate(req.body);
+        if (result.error) {
+            return errors.createError(400, 'Bad Request', 'Request body validation failed', result.error.details.map(detail => ({
+                detail: detail.message,
+                source: { in: 'body', pointer: toPointer(detail.path) },
+                status: 400,
+                title: result.error.name
+            })));
+        }
+
+        req.body = swaggerParams(req).body.body = result.value;
+        return undefined;
+    };
+}
+
+/**
+ * Makes a validator for an OpenAPI 3.0 `requestBody`, reporting its first failure.
+ * @param checkBody - see `requestBodyCheck`
+ * @returns {function}
+ */
+function makeRequestBodyValidator(checkBody) {
+
+    return function validateRequestBody(req, res, next) {
+        const invalidBody = checkBody(req);
+
+        if (invalidBody) {
+            invalidBody.errors = invalidBody.errors.slice(0, 1);
+        }
+        next(invalidBody);
+    };
+}
+
 /**
  * Builds a complete path for route usage from the mountpath and the path
  * @param mountpath
@@ -132,32 +427,60 @@ function buildRoutePath(mountpath, path) {
     return mountpath + utils.prefix(path.replace(/{([^}]+)}/g, ':$1'), '/');
 }
 
-function error(httpStatusCode, title, description) {
-    const error = new Error();
-    error.description = description;
-    error.name = errorName || 'SwaggerizeExpressVmt';
-    error.status = httpStatusCode;
-    error.title = title;
-    return error;
+/**
+ * Creates an error named after the instance raising it.
+ * @param options
+ * @param httpStatusCode
+ * @param title
+ * @param description
+ * @param entries - the individual `errors` entries, when there are several
+ * @returns {Error}
+ */
+function error(options, httpStatusCode, title, description, entries) {
+    const err = errors.createError(httpStatusCode, title, description, entries);
+    err.name = options.errorname || err.name;
+    return err;
 }
 
 /**
- * Creates a new Express route and adds it to the router.
- * @param router
- * @param mountpath
- * @param routeSpec
+ * Builds the middleware chain of a route, its handler last.
+ * @param route
+ * @param operation - the operation the route was built from, if any
+ * @param options
+ * @returns {Array}
  */
-function makeExpressRoute(router, mountpath, route, securityDefinitions) {
-    var path, args, before, validators;
+function makeOperationChain(route, operation, options) {
+    var before, validators, limit;
 
-    path = buildRoutePath(mountpath, route.path);
-    args = [path];
     before = [];
 
-    if (route.security) {
-        before.push(authorizeFor(route.security, securityDefinitions));
+    if (options.metrics) {
+        before.push(recordMetrics(options.metrics, {
+            operationId: route.name || '',
+            method: route.method.toUpperCase(),
+            path: route.path
+        }));
     }
 
+    limit = timeout.timeoutOf(options.api.paths && options.api.paths[route.path], operation, options.timeout);
+    if (limit) {
+        before.push(timeout.timeoutResponses(limit, options));
+    }
+
+    Array.prototype.push.apply(before, deprecationMiddlewares(route, operation, options));
+
+    if (options.validateResponses && operation) {
+        before.push(makeResponseValidator(options.api, options));
+    }
+
+    Array.prototype.push.apply(before, rateLimitMiddlewares(route, operation, options));
+
+    Array.prototype.push.apply(before, securityMiddlewares(route, operation, options));
+
+    Array.prototype.push.apply(before, mediaTypeMiddlewares(route, options));
+
+    Array.prototype.push.apply(before, bodyMiddlewares(route, operation, options));
+
     if (thing.isArray(route.handler)) {
         if (route.handler.length > 1) {
             Array.prototype.push.apply(before, route.handler.slice(0, route.handler.length - 1));
@@ -165,84 +488,187 @@ function makeExpressRoute(router, mountpath, route, securityDefinitions) {
         route.handler = route.handler[route.handler.length - 1];
     }
 
-    validators = [];
-
-    for (var i = 0; i < route.validators.length; ++i) {
-        validators.push(makeValidator(route.validators[i], route.consumes));
-    }
+    validators = inputValidators(route, operation, options);
 
     before = before.concat(validators);
 
+    Array.prototype.push.apply(before, cacheMiddlewares(route, operation, options));
+
+    return before.concat(route.handler);
+}
+
+/**
+ * Lists the methods a path answers: its operations' methods, `head` when it has a GET operation and `options`,
+ * which are answered even when the api does not declare them.
+ * @param methods - the methods of the path's operations
+ * @returns {Array}
+ */
+function allowedMethods(methods) {
+    const allowed = [];
+
+    methods.forEach(method => {
+        allowed.push(method);
+        if (method === 'get' && methods.indexOf('head') === -1) {
+            allowed.push('head');
+        }
+    });
+
+    return methods.indexOf('options') === -1 ? allowed.concat('options') : allowed;
+}
+
+/**
+ * Describes the media types the operations of a path consume and produce, by method.
+ * @param routes - the routes of the path
+ * @returns {Object}
+ */
+function describeMediaTypes(routes) {
+    const described = {};
+
+    routes.forEach(route => {
+        described[route.method.toUpperCase()] = {
+            consumes: route.consumes || [],
+            produces: route.produces || []
+        };
+    });
 
-    Array.prototype.push.apply(args, before);
-    args.push(route.handler);
-    router[route.method].apply(router, args);
+    return described;
 }
 
 /**
- * Builds the middleware to manage not allowed calls that use wrong Method
- * @param methods - list of avalaible method for this request
+ * Builds the middleware answering the methods a path has no operation for: an `OPTIONS` request gets a 204 (a
+ * 200 describing the media types of the operations with `describeOptions`), anything else a 405. Both list the
+ * methods of the path in an `Allow` header.
+ * @param routes - the routes of the path
+ * @param options
+ * @param path - the api path, for metrics
  * @return {function}
  */
-function buildNotAllowedMiddleware(methods) {    
+function buildNotAllowedMiddleware(routes, options, path) {
+    const allow = allowedMethods(routes.map(route => route.method.toLowerCase())).join(', ').toUpperCase();
+
     return function (req, res, next) {
-        if (!req._expressroutes && methods.indexOf(req.method.toLowerCase()) === -1) {
-            res.set('Allow', methods.join(', ').toUpperCase());
-            res.sendStatus(405).end();
-            return next(
-                error(
-                    405,
-                    'Method Not Allowed',
-                    `Method Not Allowed (valid methods: '${methods.join(', ').toUpperCase()}')`
-                )
-            );
+        if (options.metrics) {
+            options.metrics.record({ operationId: '', method: req.method, path: path }, res);
         }
-        if (!req._expressroutes) {
-            req._expressroutes = 0;            
+        res.set('Allow', allow);
+        if (req.method === 'OPTIONS') {
+            return options.describeOptions ? res.json(describeMediaTypes(routes)) : res.sendStatus(204);
         }
-        req._expressroutes++;
-        return next();
+        return next(
+            error(
+                options,
+                405,
+                'Method Not Allowed',
+                `Method Not Allowed (valid methods: '${allow}')`
+            )
+        );
+    };
+}
+
+/**
+ * Decodes the parameters a request path was matched with.
+ * @param params - the raw parameters
+ * @param options
+ * @returns {Object|Error} an error when one can not be decoded
+ */
+function decodeParams(params, options) {
+    const decoded = {};
+
+    for (const name of Object.keys(params)) {
+        try {
+            decoded[name] = decodeURIComponent(params[name]);
+        }
+        catch (err) {
+            return error(options, 400, 'Bad Request', `Failed to decode param '${params[name]}'`);
+        }
+    }
+    return decoded;
+}
+
+/**
+ * Builds the single middleware dispatching requests to the operations of an api. The path is resolved through
+ * the index once; a request for one of its operations (or `HEAD` for its GET operation) then runs the operation's
+ * chain, with the path parameters as `req.params` and the operation as `req.swagger.operation`. Requests for the
+ * path's other methods are answered by its not-allowed middleware, and the path's CORS policy, if any, comes
+ * first. Requests for no path are passed on.
+ * @param index - an index of `{ cors, notAllowed, operations }` by path template
+ * @param options
+ * @returns {function}
+ */
+function dispatchOperations(index, options) {
+    return function swaggerizeDispatch(req, res, next) {
+        const found = index.lookup(req.path);
+
+        if (!found) {
+            return next();
+        }
+
+        const entry = found.value;
+        const operation = entry.operations[req.method.toLowerCase()] || req.method === 'HEAD' && entry.operations.get;
+
+        function handle(err) {
+            if (err) {
+                return next(err);
+            }
+            if (!operation) {
+                return entry.notAllowed(req, res, next);
+            }
+
+            const params = decodeParams(found.params, options);
+            if (params instanceof Error) {
+                return next(params);
+            }
+
+            req.params = params;
+            req.swagger = req.swagger || {};
+            req.swagger.operation = operation.resolved;
+            req.swaggerDefinition = operation.resolved.definition;
+            dispatch.runChain(operation.chain, req, res, next);
+        }
+
+        return entry.cors ? entry.cors(req, res, handle) : handle();
     };
 }
 
+/**
+ * Tests whether the request carries a body, per RFC 7230 section 3.3.
+ * @param req
+ * @returns {boolean}
+ */
+function hasBody(req) {
+    return req.header('transfer-encoding') !== undefined || Number(req.header('content-length')) > 0;
+}
+
 /**
  * Validates Media Type client declares the format to be consumed by server
  * - format of body sent from client to the server
- * @param mediaTypes
+ * @param mediaTypes - the operation's `consumes`
+ * @param options
  * 
  * author: Todd Bagley
  */
-function validateContentTypeHeaderMiddleware(consumes) {
+function validateContentTypeHeaderMiddleware(mediaTypes, options) {
     return function (req, res, next) {
-        const method = req.method && req.method.toLowerCase();
-        const mediaTypes = consumes[method] || [];
-        let headers = req.header('content-type');
-        headers = headers ? headers.split(', ') : [];
-        if (headers && headers.indexOf('*/*') === -1) {
-            switch (req.method.toLowerCase()) {
-                case 'patch':
-                case 'post':
-                case 'put':
-                    let validated = false;
-                    for (let i=0; i<headers.length; i++) {
-                        mediaTypes.forEach(mediaType => {
-                            if (headers[i].includes(mediaType)) {
-                                validated = true;
-                            }
-                        });
-                    }
-                    if (!req._expressroutes && !validated) {
-                        return next(
-                            error(
-                                415,
-                                'Unsupported Content-Type header',
-                                `Unsupported Content-Type header: '${headers.join(", ")}' (valid media types: '${mediaTypes.join("', '")}')`
-                            )
-                        );
-                    }        
-                    break;
-            }    
+        const header = req.header('content-type');
+
+        if (!hasBody(req)) {
+            return next();
+        }
+
+        const matched = header && mediatypes.matchContentType(header, mediaTypes);
+        if (!matched) {
+            return next(
+                error(
+                    options,
+                    415,
+                    'Unsupported Content-Type header',
+                    `Unsupported Content-Type header: '${header || ''}' (valid media types: '${mediaTypes.join("', '")}')`
+                )
+            );
         }
+
+        req.mediaTypes = req.mediaTypes || {};
+        req.mediaTypes.consumes = matched;
         return next();
     };
 }
@@ -250,192 +676,475 @@ function validateContentTypeHeaderMiddleware(consumes) {
 /**
  * Validates Media Type client requests to be returned by server
  * - requested format of response to client from the server
- * @param mediaTypes
+ * @param mediaTypes - the operation's `produces`
+ * @param options
  * 
  * author: Todd Bagley
  */
-function validateAcceptHeaderMiddleware(produces, consumes) {
+function validateAcceptHeaderMiddleware(mediaTypes, options) {
     return function (req, res, next) {
-        const method = req.method && req.method.toLowerCase();
-        const mediaTypes = produces[method] || consumes[method] || [];    
-        let headers = req.header('accept');
-        headers = headers ? headers.split(', ') : [];
-        if (headers && headers.indexOf('*/*') === -1) {
-            let validated = false;
-            for (let i=0; i<headers.length; i++) {
-                mediaTypes.forEach(mediaType => {
-                    if (headers[i].includes(mediaType)) {
-                        validated = true;
-                    }
-                });
-            }
-            if (!validated) {
-                return next(
-                    error(
-                        406,
-                        'Unsupported Accept header',
-                        `Unsupported Accept header: '${headers.join(", ")}' (valid media types: '${mediaTypes.join("', '")}')`
-                    )
-                );
-            }        
+        const header = req.header('accept');
+        const negotiated = mediatypes.negotiate(header, mediaTypes);
+
+        if (!negotiated) {
+            return next(
+                error(
+                    options,
+                    406,
+                    'Unsupported Accept header',
+                    `Unsupported Accept header: '${header}' (valid media types: '${mediaTypes.join("', '")}')`
+                )
+            );
         }
 
+        req.mediaTypes = req.mediaTypes || {};
+        req.mediaTypes.produces = negotiated;
         next();
     };
 }
 
 /**
- * Adds corresponding swagger definition to the req object
- * 
- * author: Todd Bagley
+ * Builds the input validators of a route: its parameters and, for OpenAPI 3.0, its request body. With `allErrors`
+ * they run as one validator, reporting every failure together.
+ * @param route
+ * @param operation
+ * @param options
+ * @returns {Array}
  */
-function appendSwaggerDefinitionsToReq(routePath, swaggerDefinitions) {
-    return function(req, res, next) {
-        const route = routeFilter(routePath).replace(swaggerDefinitions && swaggerDefinitions.basePath, '');
-        const key = Object.keys(swaggerDefinitions && swaggerDefinitions.paths)
-            .filter(path => {
-                if (routePath === req.route.path && routeFilter(path) === route) {
-                    return swaggerDefinitions && swaggerDefinitions.paths && swaggerDefinitions.paths[path];
-                }
-            });
-        if (key && key[0]) {
-            const swaggerDefinitionForRoute = swaggerDefinitions && swaggerDefinitions.paths && swaggerDefinitions.paths[key && key[0]] || {};
-            req.swaggerDefinition = swaggerDefinitionForRoute && swaggerDefinitionForRoute[req.method && req.method.toLowerCase()];
-        }
+function inputValidators(route, operation, options) {
+    const validators = [];
+    const checkBody = operation && operation.requestBody && requestBodyCheck(openapi.deref(options.api, operation.requestBody), options);
+
+    if (options.allErrors) {
+        return route.validators.length || checkBody ? [makeValidators(route.validators, route.consumes, checkBody)] : [];
+    }
+
+    for (var i = 0; i < route.validators.length; ++i) {
+        validators.push(makeValidator(route.validators[i], route.consumes));
+    }
+    if (checkBody) {
+        validators.push(makeRequestBodyValidator(checkBody));
+    }
+
+    return validators;
+}
+
+/**
+ * Builds the Content-Type and Accept checks for the media types a route declares.
+ * @param route
+ * @param options
+ * @returns {Array}
+ */
+function mediaTypeMiddlewares(route, options) {
+    const middlewares = [];
+
+    if (route.consumes && route.consumes.length) {
+        middlewares.push(validateContentTypeHeaderMiddleware(route.consumes, options));
+    }
+    if (route.produces && route.produces.length) {
+        middlewares.push(validateAcceptHeaderMiddleware(route.produces, options));
+    }
+
+    return middlewares;
+}
+
+/**
+ * Builds the body parsers of the media types a route consumes, limited by its `x-body-limit`.
+ * @param route
+ * @param operation
+ * @param options
+ * @returns {Array}
+ */
+function bodyMiddlewares(route, operation, options) {
+    const pathItem = options.api.paths && options.api.paths[route.path];
+    const limit = bodyparser.bodyLimitOf(pathItem, operation);
+    const middlewares = bodyparser.bodyParsers(route.consumes, limit);
+
+    if (multipart.isMultipart(route.consumes)) {
+        middlewares.push(multipart.multipartParser(route.validators.map(validator => validator.parameter),
+            (status, title, description, entries) => error(options, status, title, description, entries), limit));
+    }
+
+    return middlewares;
+}
+
+/**
+ * Looks up the swagger operation a route was built from.
+ * @param api
+ * @param route
+ * @returns {Object|undefined}
+ */
+function findOperation(api, route) {
+    const pathItem = api.paths && api.paths[route.path];
+    return pathItem && pathItem[route.method];
+}
+
+/**
+ * Records the metrics of the requests an operation receives.
+ * @param metrics
+ * @param labels
+ * @returns {function}
+ */
+function recordMetrics(metrics, labels) {
+    return function (req, res, next) {
+        metrics.record(labels, res);
         next();
     };
 }
 
 /**
- * standardizes routes with /:id or /{id} to enable comparison 
- * 
- * author: Todd Bagley
+ * Describes the operation a request was dispatched to, as `req.swagger.operation`.
+ * @param route
+ * @param operation
+ * @returns {{operationId: string, method: string, path: string, definition: Object, consumes: Array, produces: Array}}
  */
-function routeFilter(route) {
-    let out = '';
-    route.split('/')
-        .forEach(level => {
-            if (level) {
-                switch (level[0]) {
-                    case ':':
-                    case '{':
-                        out = `${out}/:x`
-                        break;
-                    default:
-                        out = `${out}/${level}`
-                }
-            }
+function resolvedOperation(route, operation) {
+    return {
+        operationId: route.name || '',
+        method: route.method.toUpperCase(),
+        path: route.path,
+        definition: operation,
+        consumes: route.consumes || [],
+        produces: route.produces || []
+    };
+}
+
+/**
+ * Builds the index requests are dispatched from: by path template, the operations of the path with their chains, the
+ * path's not-allowed middleware and its CORS policy.
+ * @param routes
+ * @param options
+ * @param mountpath
+ * @returns {{add: function, lookup: function}}
+ */
+function indexOperations(routes, options, mountpath) {
+    const policies = corsPolicies(routes, options, mountpath);
+    const routesByPath = {};
+    const index = dispatch.createIndex({
+        caseSensitive: Boolean(options.express && options.express['case sensitive routing']),
+        strict: Boolean(options.express && options.express['strict routing'])
+    });
+
+    routes.forEach(function (route) {
+        const routePath = mountpath + utils.prefix(route.path, '/');
+        const operation = findOperation(options.api, route);
+        const method = route.method.toLowerCase();
+        const entry = routesByPath[routePath] = routesByPath[routePath] || { path: route.path, routes: [], operations: {} };
+
+        entry.routes.push(route);
+
+        //As with express routes, the first route of a method wins.
+        entry.operations[method] = entry.operations[method] || {
+            chain: makeOperationChain(route, operation, options),
+            resolved: resolvedOperation(route, operation)
+        };
+    });
+
+    Object.keys(routesByPath).forEach(routePath => {
+        index.add(routePath, {
+            cors: policies[routePath],
+            notAllowed: buildNotAllowedMiddleware(routesByPath[routePath].routes, options, routesByPath[routePath].path),
+            operations: routesByPath[routePath].operations
         });
-    return out;
+    });
+
+    return index;
+}
+
+/**
+ * Builds the route serving the collected metrics in the Prometheus text format.
+ * @param metrics
+ * @returns {function}
+ */
+function metricsRoute(metrics) {
+    return function (req, res) {
+        res.type('text/plain; version=0.0.4; charset=utf-8');
+        res.send(metrics.prometheus());
+    };
 }
 
 /**
  * Routes handlers to express router.
  * @param router
  * @param options
+ * @param mountpath - the path routes are added under, defaults to the api's basePath
  * 
  * modified by: Todd Bagley
  */
-function expressroutes(router, options) {
-    let method,
-        mountpath,
-        routes, 
-        routePath,
-        routesConsumes = {},
-        routesMethod = {},
-        routesProduces = {};
-
-    if (options.errorname) {
-        errorName = options.errorname;
-    }
+function expressroutes(router, options, mountpath) {
+    let basePath,
+        routes;
 
     routes = options.routes || [];
     options.docspath = utils.prefix(options.docspath || '/api-docs', '/');
-    options.api.basePath = utils.prefix(options.api.basePath || '/', '/');
-    mountpath = utils.unsuffix(options.api.basePath, '/');
+    basePath = utils.prefix(openapi.basePath(options.api) || '/', '/');
+    if (!openapi.isOpenApi3(options.api)) {
+        options.api.basePath = basePath;
+    }
+    mountpath = utils.unsuffix(thing.isString(mountpath) ? mountpath : basePath, '/');
 
-    router.get(mountpath + options.docspath, function (req, res) {
-        res.json(options.api);
-    });
+    router.get(mountpath + options.docspath, docs(options));
 
-    routes.forEach(function (route) {
-        makeExpressRoute(router, mountpath, route, options.api.securityDefinitions);
-        method = route.method && route.method.toLowerCase();
-        routePath = buildRoutePath(mountpath, route.path);
+    if (!options.responseCache && cache.usesMemory(options.api)) {
+        options.responseCache = cache.memoryCache();
+    }
+
+    if (options.metrics && options.metricspath) {
+        router.get(mountpath + utils.prefix(options.metricspath, '/'), metricsRoute(options.metrics));
+    }
 
-        routesMethod[routePath] = routesMethod[routePath] || [];
-        routesMethod[routePath].push(method);
+    router.use(dispatchOperations(indexOperations(routes, options, mountpath), options));
+}
 
-        routesConsumes[routePath] = routesConsumes[routePath] || {};
-        routesConsumes[routePath][method] = routesConsumes[routePath][method] || [];
-        if (route.consumes && route.consumes.length > 0) {
-            routesConsumes[routePath][method].push(...route.consumes);
-        }
-        routesConsumes[routePath][method] = routesConsumes[routePath][method].filter((v, i, a) => a.indexOf(v) === i);
-    
-        routesProduces[routePath] = routesProduces[routePath] || {};
-        routesProduces[routePath][method] = routesProduces[routePath][method] || [];
-        if (route.produces && route.produces.length > 0) {
-            routesProduces[routePath][method].push(...route.produces);
+
+/**
+ * Lists the request headers the spec allows for an operation: its `in: header` parameters, `Content-Type` when it
+ * takes a body (parameters, or an OpenAPI 3.0 `requestBody`), and the headers its security schemes read credentials from.
+ * @param route
+ * @param operation
+ * @param options
+ * @returns {Array}
+ */
+function corsRequestHeaders(route, operation, options) {
+    const parameters = route.validators.map(validator => validator.parameter);
+    const securityDefinitions = openapi.securityDefinitions(options.api) || {};
+    const headers = parameters.filter(parameter => parameter.in === 'header').map(parameter => parameter.name);
+
+    const requestBody = operation && openapi.deref(options.api, operation.requestBody);
+    const takesBody = parameters.some(parameter => parameter.in === 'body' || parameter.in === 'formData');
+
+    if ((route.consumes || []).length && takesBody || requestBody && Object.keys(requestBody.content || {}).length) {
+        headers.push('Content-Type');
+    }
+    securityRequirements(options.api, route, operation).forEach(requirement => Object.keys(requirement).forEach(name => {
+        headers.push(securityDefinitions[name] && security.credentialHeader(securityDefinitions[name]));
+    }));
+
+    return headers.filter((header, index) => header && headers.indexOf(header) === index);
+}
+
+/**
+ * Builds the CORS middlewares of the paths whose operations have an `x-cors` policy, one per path.
+ * @param routes
+ * @param options
+ * @param mountpath
+ * @returns {Object} middlewares by path template
+ */
+function corsPolicies(routes, options, mountpath) {
+    const byPath = {};
+
+    routes.forEach(route => {
+        const operation = findOperation(options.api, route);
+        const config = cors.corsOf(options.api, options.api.paths && options.api.paths[route.path], operation);
+        const routePath = mountpath + utils.prefix(route.path, '/');
+
+        if (config) {
+            byPath[routePath] = byPath[routePath] || {};
+            byPath[routePath][route.method.toUpperCase()] = {
+                config: config,
+                headers: corsRequestHeaders(route, operation, options)
+            };
         }
-        routesProduces[routePath][method] = routesProduces[routePath][method].filter((v, i, a) => a.indexOf(v) === i);
     });
 
-    Object.keys(routesMethod)
-        .forEach(routePath => {
-            router.use(
-                pathRegexp(routePath),
-                appendSwaggerDefinitionsToReq(routePath, options.api),
-                buildNotAllowedMiddleware(routesMethod[routePath]),
-                validateContentTypeHeaderMiddleware(routesConsumes[routePath]),
-                validateAcceptHeaderMiddleware(routesProduces[routePath], routesConsumes[routePath])
-            );
-        });
+    return Object.keys(byPath).reduce((policies, routePath) => {
+        policies[routePath] = cors.corsPolicy(byPath[routePath]);
+        return policies;
+    }, {});
+}
+
+/**
+ * Builds the rate limiter of a route, when its operation or path declares an `x-rate-limit`.
+ * A limit declared on a path is shared by the path's operations.
+ * @param route
+ * @param operation
+ * @param options
+ * @returns {Array}
+ */
+function rateLimitMiddlewares(route, operation, options) {
+    const rateLimit = ratelimit.rateLimitOf(options.api.paths && options.api.paths[route.path], operation);
+
+    if (!rateLimit) {
+        return [];
+    }
+
+    options.rateLimitStore = options.rateLimitStore || ratelimit.memoryStore();
+    assert.ok(thing.isFunction(options.rateLimitStore.increment), 'Expected rateLimitStore to have an increment function.');
+
+    const bucket = rateLimit.scope === 'path' ? route.path : `${route.method.toUpperCase()} ${route.path}`;
+
+    return [ratelimit.rateLimiter(rateLimit, bucket, options.rateLimitStore, error.bind(null, options))];
+}
+
+/**
+ * Builds the headers, usage reporting and, past its sunset, refusal of a deprecated operation.
+ * @param route
+ * @param operation
+ * @param options
+ * @returns {Array}
+ */
+function deprecationMiddlewares(route, operation, options) {
+    const config = deprecation.deprecationOf(operation);
+
+    if (!config) {
+        return [];
+    }
+
+    return [deprecation.deprecatedOperation(config, {
+        operationId: route.name || '',
+        method: route.method.toUpperCase(),
+        path: route.path
+    }, options, error.bind(null, options))];
+}
+
+/**
+ * Builds the response caching of a GET route declaring an `x-cache`, or the invalidation of cached
+ * responses for a write route when the api caches responses in memory. Responses kept in memory are served to
+ * any caller, so secured operations can not keep them.
+ * @param route
+ * @param operation
+ * @param options
+ * @returns {Array}
+ */
+function cacheMiddlewares(route, operation, options) {
+    const config = cache.cacheOf(operation, route.method);
+
+    if (config) {
+        assert.ok(!config.memory || !securityRequirements(options.api, route, operation).some(requirement => Object.keys(requirement).length),
+            `Expected x-cache of ${route.method.toUpperCase()} ${route.path} not to keep responses in memory: it has security requirements, and responses kept in memory are shared.`);
+        return [cache.cacheResponses(config, route.validators, options.responseCache)];
+    }
+    if (options.responseCache && cache.WRITES.indexOf(route.method) > -1) {
+        return [cache.invalidateResponses(options.responseCache)];
+    }
+    return [];
+}
+
+/**
+ * Lists the security requirements of a route: its operation's `security`, else its path's, else the api's.
+ * Routes without an operation in the api keep the schemes swaggerize-routes resolved, as one requirement.
+ * @param api
+ * @param route
+ * @param operation
+ * @returns {Array}
+ */
+function securityRequirements(api, route, operation) {
+    const pathItem = api.paths && api.paths[route.path] || {};
+
+    if (!operation) {
+        return route.security ? [Object.keys(route.security).reduce((requirement, name) => {
+            requirement[name] = route.security[name].scopes;
+            return requirement;
+        }, {})] : [];
+    }
+
+    return [operation.security, pathItem.security, api.security].filter(thing.isArray)[0] || [];
+}
+
+/**
+ * Builds the authorization check of a route, when it has security requirements.
+ * @param route
+ * @param operation
+ * @param options
+ * @returns {Array}
+ */
+function securityMiddlewares(route, operation, options) {
+    const requirements = securityRequirements(options.api, route, operation);
+    const securityDefinitions = openapi.securityDefinitions(options.api) || {};
+    const authorizers = {};
+
+    if (!requirements.length) {
+        return [];
+    }
+
+    requirements.forEach(requirement => Object.keys(requirement).forEach(name => {
+        const custom = route.security && route.security[name] && route.security[name].authorize;
+
+        authorizers[name] = thing.isFunction(custom) ?
+            customAuthorizer(custom, securityDefinitions[name]) :
+            securityDefinitions[name] && security.authorizer(name, securityDefinitions[name], options);
+    }));
+
+    return [authorizeFor(requirements, authorizers, options)];
 }
 
+/**
+ * Adapts an `x-authorize` function, called with the scheme's definition as `this` and `req.requiredScopes`,
+ * to the `(req, scopes, callback)` authorizer signature. What it passes after the error is its `req.auth` entry.
+ * @param authorize
+ * @param securityDefinition
+ * @returns {function}
+ */
+function customAuthorizer(authorize, securityDefinition) {
+    return function (req, res, scopes, callback) {
+        req.requiredScopes = scopes;
+        authorize.call(securityDefinition, req, res, function (error, auth) {
+            callback(error, auth === undefined ? true : auth);
+        });
+    };
+}
 
-function authorizeFor(security, securityDefinitions) {
+/**
+ * Makes the authorization check of a list of security requirements: one requirement must be met (OR),
+ * by meeting every scheme it lists (AND). An empty requirement allows anonymous access. The results of
+ * the met requirement are set on `req.auth` by scheme name; otherwise the response is a 403 when
+ * credentials lacked scopes, else a 401 with the `WWW-Authenticate` challenges of the schemes tried.
+ * @param requirements
+ * @param authorizers - `(req, res, scopes, callback)` functions by scheme name
+ * @param options
+ * @returns {function}
+ */
+function authorizeFor(requirements, authorizers, options) {
 
     return function authorize(req, res, next) {
-        var errors = [];
-        var securityDefinition;
+        const failures = [];
+        let auth;
 
-        function passed(type, pass) {
-            if (thing.isFunction(security[type].authorize)) {
+        function meets(requirement, done) {
+            const results = {};
 
-                if (securityDefinitions) {
-                    securityDefinition = securityDefinitions[type];
-                }
+            async.eachSeries(Object.keys(requirement), function (name, callback) {
+                const authorizer = authorizers[name];
 
-                req.requiredScopes = security[type].scopes;
+                if (!authorizer) {
+                    return callback(new Error('Unauthorized.'));
+                }
 
-                security[type].authorize.call(securityDefinition, req, res, function (error) {
-                    if (error) {
-                        errors.push(error);
-                        pass(false);
-                        return;
-                    }
-                    pass(true);
+                authorizer(req, res, requirement[name], function (error, result) {
+                    results[name] = result;
+                    callback(error);
                 });
+            }, function (error) {
+                if (error) {
+                    failures.push(error);
+                    return done(false);
+                }
+                auth = results;
+                done(true);
+            });
+        }
 
-                return;
+        async.detectSeries(requirements, meets, function (met) {
+            if (met) {
+                req.auth = auth;
+                return next();
             }
 
-            errors.push(new Error('Unauthorized.'));
-            pass(false);
-        }
+            const failure = failures.filter(error => error.status === 403)[0] || failures[0];
+            const status = failure.status || failure.statusCode || 401;
+            const challenges = (status === 401 ? failures : [failure])
+                .map(error => error.challenge)
+                .filter((challenge, index, all) => challenge && all.indexOf(challenge) === index);
 
-        function done(success) {
-            if (!success) {
-                res.statusCode = 401;
-                next(errors.shift());
-                return;
+            if (challenges.length) {
+                res.set('WWW-Authenticate', challenges.join(', '));
             }
-            next();
-        }
-
-        async.some(Object.keys(security), passed, done);
+            next(error(options, status, http.STATUS_CODES[status], failure.message));
+        });
     };
 }
 
+expressroutes.buildRoutePath = buildRoutePath;
+expressroutes.securityRequirements = securityRequirements;
+
 module.exports = expressroutes;
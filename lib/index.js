@@ -6,10 +6,16 @@ const thing = require('core-util-is');
 const path = require('path');
 const caller = require('caller');
 const expressroutes = require('./expressroutes');
+const errors = require('./errors');
 const url = require('url');
 const routes = require('swaggerize-routes');
-const yaml = require('js-yaml');
-const fs = require('fs');
+const openapi = require('./openapi');
+const loadapi = require('./loadapi');
+const watch = require('./watch');
+const mock = require('./mock');
+const strict = require('./strict');
+const createMetrics = require('./metrics');
+const debuglog = require('debuglog')('swaggerize-express-vmt');
 
 function swaggerize(options) {
     var app;
@@ -17,19 +23,21 @@ function swaggerize(options) {
     assert.ok(thing.isObject(options), 'Expected options to be an object.');
     assert.ok(options.api, 'Expected an api definition.');
 
-    if (thing.isString(options.api)) {
-        options.api = loadApi(options.api);
-    }
-
     options.express = options.express || {};
     options.basedir = options.basedir || path.dirname(caller());
 
-    assert.ok(!options.express || thing.isObject(options.express), 'Expected express options to be an object.');
-    assert.ok(thing.isObject(options.api), 'Api definition must resolve to an object.');
+    resolvePaths(options);
 
+    assert.ok(!options.express || thing.isObject(options.express), 'Expected express options to be an object.');
     assert.ok(!options.errorname || thing.isString(options.errorname), 'Expected errorname in options to be a string.');
+    assert.ok(!options.errorFormatter || thing.isFunction(options.errorFormatter) || errors.formatters.hasOwnProperty(options.errorFormatter),
+        'Expected errorFormatter in options to be a function or one of: ' + Object.keys(errors.formatters).join(', ') + '.');
+
+    if (options.metrics || options.metricspath) {
+        options.metrics = createMetrics(options.metrics);
+    }
 
-    options.routes = routes(options);
+    load(options);
 
     app = express();
 
@@ -39,23 +47,159 @@ function swaggerize(options) {
 }
 
 /**
- * Onmount handler.
+ * Resolves the api and handlers paths against basedir.
+ * @param options
+ */
+function resolvePaths(options) {
+    if (thing.isString(options.api)) {
+        options.apiPath = path.resolve(options.basedir, options.api);
+    }
+
+    options.handlers = options.handlers || './handlers';
+    if (thing.isString(options.handlers)) {
+        options.handlers = path.resolve(options.basedir, options.handlers);
+    }
+}
+
+/**
+ * Loads the api (from `apiPath` when it was given as a path) and builds its routes.
+ * @param options
+ */
+function load(options) {
+    if (options.apiPath) {
+        const loaded = loadapi.loadApi(options.apiPath);
+        options.originalApi = loaded.original;
+        options.api = loaded.api;
+        options.apiFiles = loaded.files;
+    } else if (thing.isObject(options.api)) {
+        //External references in an api object resolve from basedir.
+        options.originalApi = options.api;
+        options.api = loadapi.bundle(options.api, path.join(options.basedir, '<api>'));
+    }
+
+    assert.ok(thing.isObject(options.api), 'Api definition must resolve to an object.');
+
+    if (openapi.isOpenApi3(options.api)) {
+        assert.ok(thing.isObject(options.api.paths), 'Expected an OpenAPI 3.0 document with paths.');
+    }
+
+    options.routes = buildRoutes(options);
+
+    if (options.mock) {
+        options.routes = options.routes.concat(mock.mockRoutes(options, options.routes, buildRoutes));
+    }
+}
+
+/**
+ * Builds the routes of a Swagger 2.0 or OpenAPI 3.0 api.
+ * @param options
+ * @returns {Array}
+ */
+function buildRoutes(options) {
+    if (openapi.isOpenApi3(options.api)) {
+        return openapi.buildRoutes(options);
+    }
+    return routes(Object.assign({}, options, { api: openapi.withoutRootExtensions(options.api) }));
+}
+
+/**
+ * Adds the routes, docs route and error handler of an api to a router.
+ * @param router
+ * @param options
+ * @param mountpath - the path routes are added under
+ */
+function addRoutes(router, options, mountpath) {
+    expressroutes(router, options, mountpath);
+
+    router.use(errors.errorHandler(options));
+}
+
+/**
+ * Serves the api from a route table that is rebuilt whenever the api file, or a file in the handlers
+ * directory, changes. Requests already dispatched finish on the table they started on, and a rebuild
+ * that fails keeps the previous table.
+ * @param app
+ * @param options
+ * @param mountpath
+ */
+function watchRoutes(app, options, mountpath) {
+    const log = options.log || debuglog;
+    let current = express.Router();
+
+    addRoutes(current, options, mountpath);
+
+    app.use(function swaggerizeRoutes(req, res, next) {
+        current(req, res, next);
+    });
+
+    function reload() {
+        try {
+            const next = Object.assign({}, options, {
+                api: options.originalApi
+            });
+
+            Object.keys(require.cache).forEach(file => {
+                if (thing.isString(options.handlers) && file.indexOf(options.handlers + path.sep) === 0) {
+                    delete require.cache[file];
+                }
+            });
+
+            load(next);
+            if (next.strict) {
+                strict.check(next);
+            }
+            if (app.mountpath !== '/') {
+                openapi.setBasePath(next.api, app.mountpath);
+            }
+
+            const router = express.Router();
+            addRoutes(router, next, mountpath);
+
+            current = router;
+            options = next;
+            app.swagger.api = next.api;
+            app.swagger.routes = next.routes;
+
+            log(`Reloaded ${options.routes.length} routes.`);
+            app.emit('reload', app.swagger);
+        }
+        catch (error) {
+            log(`Reload failed, keeping the previous routes: ${error.stack}`);
+            app.emit('reloadError', error);
+        }
+    }
+
+    app.swagger.unwatch = watch(() => ({
+        files: options.apiFiles || [],
+        trees: thing.isString(options.handlers) ? [options.handlers] : []
+    }), reload, options.watchDelay || 100);
+}
+
+/**
+ * Onmount handler. Routes, settings and error handling live in the swaggerize app itself, so that
+ * several instances mounted in one parent stay independent and leave the parent's own routes alone.
+ * @param app
  * @param options
  * @returns {onmount}
  */
 function mount(app, options) {
 
     return function onmount(parent) {
-        var settings;
+        var settings, mountpath;
 
-        parent._router.stack.pop();
+        if (options.strict) {
+            strict.check(options);
+        }
 
-        //If a mountpath was provided, override basePath in api.
-        options.api.basePath = app.mountpath !== '/' ? app.mountpath : options.api.basePath;
+        //If a mountpath was provided, override basePath in api; routes are then relative to it.
+        if (app.mountpath !== '/') {
+            openapi.setBasePath(options.api, app.mountpath);
+            mountpath = '';
+        }
 
+        //`trust proxy` is left to be inherited from the parent, which knows the proxies in front of it.
         Object.keys(settings = {
             'x-powered-by': false,
-            'trust proxy': false,
             'jsonp callback name': null,
             'json replacer': null,
             'json spaces': 0,
@@ -65,36 +209,36 @@ function mount(app, options) {
             'view cache': false,
             'view engine': false
         }).forEach(function (option) {
-            parent.set(option, settings[option]);
+            app.set(option, settings[option]);
         });
 
         Object.keys(options.express).forEach(function (option) {
-            parent.set(option, options.express[option]);
+            app.set(option, options.express[option]);
         });
 
-        parent.mountpath = options.api.basePath;
-
-        Object.defineProperty(parent, 'swagger', {
+        Object.defineProperty(app, 'swagger', {
             value: {
                 api: options.api,
+                metrics: options.metrics,
                 routes: options.routes
             }
         });
 
-        expressroutes(parent._router, options);
+        //The first instance mounted is also exposed on the parent, as `app.swagger`.
+        if (!parent.hasOwnProperty('swagger')) {
+            Object.defineProperty(parent, 'swagger', {
+                value: app.swagger
+            });
+        }
+
+        if (options.watch) {
+            watchRoutes(app, options, mountpath);
+        } else {
+            addRoutes(app, options, mountpath);
+        }
     };
 }
 
-/**
- * Loads the api from a path, with support for yaml..
- * @param apiPath
- * @returns {Object}
- */
-function loadApi(apiPath) {
-    if (apiPath.indexOf('.yaml') === apiPath.length - 5 || apiPath.indexOf('.yml') === apiPath.length - 4) {
-        return yaml.load(fs.readFileSync(apiPath));
-    }
-    return require(apiPath);
-}
+swaggerize.formatters = errors.formatters;
 
 module.exports = swaggerize;
@@ -0,0 +1,140 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const thing = require('core-util-is');
+const yaml = require('js-yaml');
+
+/**
+ * Reads a JSON or YAML file.
+ * @param file - absolute path
+ * @returns {*}
+ */
+function readFile(file) {
+    const content = fs.readFileSync(file, 'utf8');
+
+    if (/\.ya?ml$/i.test(file)) {
+        return yaml.load(content);
+    }
+    return JSON.parse(content);
+}
+
+/**
+ * Walks a JSON pointer (RFC 6901) into a document.
+ * @param document
+ * @param pointer - e.g. `/definitions/Pet`, empty for the whole document
+ * @param ref - the reference being resolved, for error messages
+ * @returns {*}
+ */
+function resolvePointer(document, pointer, ref) {
+    return pointer.split('/').slice(1).reduce((target, token) => {
+        token = decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~');
+        if (!target || !(token in Object(target))) {
+            throw new Error(`Can not resolve reference: ${ref}`);
+        }
+        return target[token];
+    }, document);
+}
+
+/**
+ * Bundles a document: external `$ref`s (`definitions/pet.yaml`, `paths.json#/pets`) are replaced by the content
+ * they point to, recursively, while references into the root document are kept as local `#/...` references.
+ * @param api - the root document
+ * @param file - absolute path of the root document, against which relative references resolve
+ * @returns {{api: Object, files: Array}} a new, bundled document and the files it was read from
+ */
+function bundleFiles(api, file) {
+    const cache = {};
+    const stack = [];
+
+    cache[file] = api;
+
+    function load(target) {
+        if (!cache.hasOwnProperty(target)) {
+            cache[target] = readFile(target);
+        }
+        return cache[target];
+    }
+
+    function resolveRef(ref, currentFile) {
+        const index = ref.indexOf('#');
+        const filePart = index > -1 ? ref.slice(0, index) : ref;
+        const pointer = index > -1 ? ref.slice(index + 1) : '';
+        const target = filePart ? path.resolve(path.dirname(currentFile), filePart) : currentFile;
+        const key = `${target}#${pointer}`;
+
+        if (/^[a-z][a-z0-9+.-]*:\/\//i.test(filePart)) {
+            throw new Error(`Remote references are not supported: ${ref}`);
+        }
+        if (target === file) {
+            return { $ref: `#${pointer}` };
+        }
+        if (stack.indexOf(key) > -1) {
+            throw new Error(`Circular reference: ${stack.concat(key).join(' -> ')}`);
+        }
+
+        stack.push(key);
+        const resolved = walk(resolvePointer(load(target), pointer, ref), target);
+        stack.pop();
+
+        return resolved;
+    }
+
+    function walk(node, currentFile) {
+        if (thing.isArray(node)) {
+            return node.map(item => walk(item, currentFile));
+        }
+        if (!thing.isObject(node) || thing.isDate(node)) {
+            return node;
+        }
+        if (thing.isString(node.$ref) && (node.$ref[0] !== '#' || currentFile !== file)) {
+            return resolveRef(node.$ref, currentFile);
+        }
+
+        const copy = {};
+        Object.keys(node).forEach(key => {
+            copy[key] = walk(node[key], currentFile);
+        });
+        return copy;
+    }
+
+    const bundled = walk(api, file);
+
+    return {
+        api: bundled,
+        files: Object.keys(cache)
+    };
+}
+
+/**
+ * Bundles a document, see `bundleFiles`.
+ * @param api
+ * @param file
+ * @returns {Object} a new, bundled document
+ */
+function bundle(api, file) {
+    return bundleFiles(api, file).api;
+}
+
+/**
+ * Loads the api from a path, with support for yaml, resolving external references.
+ * @param apiPath
+ * @returns {{api: Object, original: Object, files: Array}} the bundled document, the root document as written
+ * and every file read
+ */
+function loadApi(apiPath) {
+    const file = path.resolve(apiPath);
+    const original = readFile(file);
+    const bundled = bundleFiles(original, file);
+
+    return {
+        api: bundled.api,
+        original: original,
+        files: bundled.files
+    };
+}
+
+module.exports = {
+    bundle: bundle,
+    loadApi: loadApi
+};
@@ -0,0 +1,208 @@
+'use strict';
+
+/**
+ * Splits a header on a separator, ignoring separators inside quoted strings.
+ * @param value
+ * @param separator
+ * @returns {Array}
+ */
+function splitOutsideQuotes(value, separator) {
+    const parts = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < value.length; i++) {
+        const char = value[i];
+        if (char === '"' && value[i - 1] !== '\\') {
+            quoted = !quoted;
+        }
+        if (char === separator && !quoted) {
+            parts.push(current);
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    parts.push(current);
+
+    return parts.map(part => part.trim()).filter(part => part);
+}
+
+/**
+ * Parses a single media type or media range (RFC 7231 section 3.1.1.1), e.g. `application/vnd.api+json; charset=utf-8; q=0.5`.
+ * @param value
+ * @returns {{type, subtype, suffix, params, q}|null}
+ */
+function parse(value) {
+    const parts = splitOutsideQuotes(value || '', ';');
+    const match = parts.length && /^([\w!#$&^.+*-]+)\/([\w!#$&^.+*-]+)$/.exec(parts[0]);
+    const params = {};
+    let q = 1;
+
+    if (!match) {
+        return null;
+    }
+
+    parts.slice(1).forEach(part => {
+        const index = part.indexOf('=');
+        if (index < 1) {
+            return;
+        }
+        const name = part.slice(0, index).trim().toLowerCase();
+        const paramValue = part.slice(index + 1).trim().replace(/^"(.*)"$/, '$1');
+        if (name === 'q') {
+            q = Math.max(0, Math.min(1, parseFloat(paramValue)));
+            q = isNaN(q) ? 1 : q;
+            return;
+        }
+        params[name] = paramValue;
+    });
+
+    const type = match[1].toLowerCase();
+    const subtype = match[2].toLowerCase();
+    const plus = subtype.lastIndexOf('+');
+
+    return {
+        type: type,
+        subtype: subtype,
+        suffix: plus > -1 ? subtype.slice(plus + 1) : undefined,
+        params: params,
+        q: q
+    };
+}
+
+/**
+ * Parses a list header such as Accept into media ranges, dropping anything unparseable.
+ * @param header
+ * @returns {Array}
+ */
+function parseList(header) {
+    return splitOutsideQuotes(header || '', ',')
+        .map(parse)
+        .filter(range => range);
+}
+
+/**
+ * Tests whether parameters present on both sides agree. `charset` is compared case-insensitively.
+ * @param a
+ * @param b
+ * @returns {boolean}
+ */
+function paramsAgree(a, b) {
+    return Object.keys(a).every(name => {
+        if (!(name in b)) {
+            return true;
+        }
+        return name === 'charset' ? a[name].toLowerCase() === b[name].toLowerCase() : a[name] === b[name];
+    });
+}
+
+/**
+ * Tests whether a subtype pattern matches a subtype. Supports `*` and suffix ranges such as `*+json`.
+ * @param pattern
+ * @param subtype
+ * @returns {boolean}
+ */
+function subtypeMatches(pattern, subtype) {
+    if (pattern === '*' || pattern === subtype) {
+        return true;
+    }
+    if (pattern.indexOf('*+') === 0) {
+        return subtype.slice(subtype.lastIndexOf('+')) === pattern.slice(1);
+    }
+    return false;
+}
+
+/**
+ * Returns how specifically `range` matches `mediaType`, or -1 when it does not.
+ * Either side may be a range (e.g. a spec declaring `application/*`).
+ * @param range - parsed media range
+ * @param mediaType - parsed media type
+ * @returns {number}
+ */
+function specificity(range, mediaType) {
+    let score = 0;
+
+    if (range.type !== '*' && mediaType.type !== '*') {
+        if (range.type !== mediaType.type) {
+            return -1;
+        }
+        score += 4;
+    }
+    if (range.subtype !== '*' && mediaType.subtype !== '*') {
+        if (!subtypeMatches(range.subtype, mediaType.subtype) && !subtypeMatches(mediaType.subtype, range.subtype)) {
+            return -1;
+        }
+        score += range.subtype.indexOf('*') === -1 ? 2 : 1;
+    }
+    if (!paramsAgree(range.params, mediaType.params)) {
+        return -1;
+    }
+
+    return score + Object.keys(range.params).length;
+}
+
+/**
+ * Finds the first of `mediaTypes` that a request Content-Type satisfies.
+ * @param contentType - the Content-Type header
+ * @param mediaTypes - the operation's `consumes`
+ * @returns {string|null}
+ */
+function matchContentType(contentType, mediaTypes) {
+    const parsed = parse(contentType);
+
+    if (!parsed) {
+        return null;
+    }
+
+    return mediaTypes.filter(mediaType => {
+        const range = parse(mediaType);
+        return range && specificity(range, parsed) > -1;
+    })[0] || null;
+}
+
+/**
+ * Selects the media type to respond with (RFC 7231 section 5.3.2): for every offered type the most
+ * specific matching Accept range supplies its quality, `q=0` excludes it, and the highest quality wins,
+ * ties going to the order of `mediaTypes`.
+ * @param accept - the Accept header; absent means anything is acceptable
+ * @param mediaTypes - the operation's `produces`
+ * @returns {string|null}
+ */
+function negotiate(accept, mediaTypes) {
+    const ranges = accept ? parseList(accept) : [parse('*/*')];
+    let best = null;
+    let bestQ = 0;
+
+    mediaTypes.forEach(mediaType => {
+        const offered = parse(mediaType);
+        let q = 0;
+        let score = -1;
+
+        if (!offered) {
+            return;
+        }
+
+        ranges.forEach(range => {
+            const current = specificity(range, offered);
+            if (current > score) {
+                score = current;
+                q = range.q;
+            }
+        });
+
+        if (score > -1 && q > bestQ) {
+            best = mediaType;
+            bestQ = q;
+        }
+    });
+
+    return best;
+}
+
+module.exports = {
+    parse: parse,
+    parseList: parseList,
+    matchContentType: matchContentType,
+    negotiate: negotiate
+};
@@ -0,0 +1,163 @@
+'use strict';
+
+const thing = require('core-util-is');
+
+/**
+ * Default latency histogram buckets, in seconds.
+ */
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Statuses counted as rejections: failed validation, method not allowed, not acceptable, unsupported media type.
+ */
+const REJECTIONS = [400, 405, 406, 415];
+
+/**
+ * Escapes a Prometheus label value.
+ * @param value
+ * @returns {string}
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Formats a Prometheus label set.
+ * @param labels
+ * @returns {string}
+ */
+function formatLabels(labels) {
+    return '{' + Object.keys(labels).map(name => `${name}="${escapeLabel(labels[name])}"`).join(',') + '}';
+}
+
+/**
+ * Creates a metrics collector counting requests per operation, method and status class, with latency
+ * histograms, and counting the requests this library rejected with a 400, 405, 406 or 415.
+ * @param options - `true`, or `{ buckets }` to set the histogram buckets (in seconds)
+ * @returns {{record: function, snapshot: function, prometheus: function, reset: function}}
+ */
+function createMetrics(options) {
+    const buckets = (thing.isObject(options) && options.buckets || DEFAULT_BUCKETS).slice().sort((a, b) => a - b);
+    let requests, rejections;
+
+    function reset() {
+        requests = {};
+        rejections = {};
+    }
+
+    function observe(labels, status, seconds, rejected) {
+        const entryLabels = Object.assign({}, labels, { status: `${Math.floor(status / 100)}xx` });
+        const key = JSON.stringify(entryLabels);
+        const entry = requests[key] = requests[key] || {
+            labels: entryLabels,
+            count: 0,
+            sum: 0,
+            buckets: buckets.map(() => 0)
+        };
+
+        entry.count++;
+        entry.sum += seconds;
+        buckets.forEach((bound, index) => {
+            if (seconds <= bound) {
+                entry.buckets[index]++;
+            }
+        });
+
+        if (rejected && REJECTIONS.indexOf(status) > -1) {
+            const rejectionLabels = Object.assign({}, labels, { status: String(status) });
+            const rejectionKey = JSON.stringify(rejectionLabels);
+            const rejection = rejections[rejectionKey] = rejections[rejectionKey] || {
+                labels: rejectionLabels,
+                count: 0
+            };
+            rejection.count++;
+        }
+    }
+
+    /**
+     * Records a response once it is finished. Only the first call for a response counts.
+     * @param labels - `{ operationId, method, path }`
+     * @param res
+     */
+    function record(labels, res) {
+        const start = process.hrtime();
+
+        if (res.locals.swaggerizeMetrics) {
+            return;
+        }
+        res.locals.swaggerizeMetrics = true;
+
+        res.once('finish', () => {
+            const elapsed = process.hrtime(start);
+
+            observe(labels, res.statusCode, elapsed[0] + elapsed[1] / 1e9, res.locals.swaggerizeError === true);
+        });
+    }
+
+    /**
+     * The current values.
+     * @returns {{requests: Array, rejections: Array}}
+     */
+    function snapshot() {
+        return {
+            requests: Object.keys(requests).map(key => {
+                const entry = requests[key];
+                const counts = {};
+                buckets.forEach((bound, index) => {
+                    counts[bound] = entry.buckets[index];
+                });
+                return Object.assign({}, entry.labels, { count: entry.count, sum: entry.sum, buckets: counts });
+            }),
+            rejections: Object.keys(rejections).map(key => Object.assign({}, rejections[key].labels, {
+                count: rejections[key].count
+            }))
+        };
+    }
+
+    /**
+     * The current values in the Prometheus text exposition format.
+     * @returns {string}
+     */
+    function prometheus() {
+        const lines = [
+            '# HELP swaggerize_http_requests_total Requests by operation, method and status class.',
+            '# TYPE swaggerize_http_requests_total counter'
+        ];
+
+        Object.keys(requests).forEach(key => {
+            lines.push(`swaggerize_http_requests_total${formatLabels(requests[key].labels)} ${requests[key].count}`);
+        });
+
+        lines.push('# HELP swaggerize_http_request_duration_seconds Request latency by operation, method and status class.');
+        lines.push('# TYPE swaggerize_http_request_duration_seconds histogram');
+        Object.keys(requests).forEach(key => {
+            const entry = requests[key];
+            buckets.forEach((bound, index) => {
+                const labels = formatLabels(Object.assign({}, entry.labels, { le: String(bound) }));
+                lines.push(`swaggerize_http_request_duration_seconds_bucket${labels} ${entry.buckets[index]}`);
+            });
+            lines.push(`swaggerize_http_request_duration_seconds_bucket${formatLabels(Object.assign({}, entry.labels, { le: '+Inf' }))} ${entry.count}`);
+            lines.push(`swaggerize_http_request_duration_seconds_sum${formatLabels(entry.labels)} ${entry.sum}`);
+            lines.push(`swaggerize_http_request_duration_seconds_count${formatLabels(entry.labels)} ${entry.count}`);
+        });
+
+        lines.push('# HELP swaggerize_http_rejections_total Requests rejected for failed validation (400), method (405), Accept (406) or Content-Type (415).');
+        lines.push('# TYPE swaggerize_http_rejections_total counter');
+        Object.keys(rejections).forEach(key => {
+            lines.push(`swaggerize_http_rejections_total${formatLabels(rejections[key].labels)} ${rejections[key].count}`);
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    reset();
+
+    return {
+        prometheus: prometheus,
+        record: record,
+        reset: reset,
+        snapshot: snapshot
+    };
+}
+
+module.exports = createMetrics;
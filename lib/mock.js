@@ -0,0 +1,330 @@
+'use strict';
+
+const thing = require('core-util-is');
+const openapi = require('./openapi');
+const errors = require('./errors');
+
+/**
+ * Sample values for string formats, chosen to pass format validation.
+ */
+const STRING_FORMATS = {
+    'byte': 'c3RyaW5n',
+    'date': '2000-01-01',
+    'date-time': '2000-01-01T00:00:00.000Z',
+    'email': 'user@example.com',
+    'hostname': 'example.com',
+    'ipv4': '127.0.0.1',
+    'ipv6': '::1',
+    'uri': 'http://example.com',
+    'uuid': '00000000-0000-4000-8000-000000000000'
+};
+
+/**
+ * Synthesizes a number within a schema's bounds.
+ * @param schema
+ * @returns {number}
+ */
+function sampleNumber(schema) {
+    const step = schema.type === 'integer' ? 1 : 0.5;
+    let value = 0;
+
+    if (thing.isNumber(schema.minimum)) {
+        value = schema.exclusiveMinimum ? schema.minimum + step : schema.minimum;
+    } else if (thing.isNumber(schema.maximum) && schema.maximum <= 0) {
+        value = schema.exclusiveMaximum ? schema.maximum - step : schema.maximum;
+    }
+    if (thing.isNumber(schema.multipleOf) && value % schema.multipleOf !== 0) {
+        value = Math.ceil(value / schema.multipleOf) * schema.multipleOf;
+    }
+
+    return schema.type === 'integer' ? Math.ceil(value) : value;
+}
+
+/**
+ * Synthesizes a string within a schema's length bounds.
+ * @param schema
+ * @returns {string}
+ */
+function sampleString(schema) {
+    let value = STRING_FORMATS[schema.format] || 'string';
+
+    while (value.length < (schema.minLength || 0)) {
+        value += value;
+    }
+    return thing.isNumber(schema.maxLength) ? value.slice(0, schema.maxLength) : value;
+}
+
+/**
+ * The value a schema declares for itself: its `example`, `x-example`, `default` or first `enum` entry.
+ * @param schema
+ * @returns {*} undefined when it declares none
+ */
+function declaredValue(schema) {
+    for (const key of ['example', 'x-example', 'default']) {
+        if (schema[key] !== undefined) {
+            return schema[key];
+        }
+    }
+    return thing.isArray(schema.enum) ? schema.enum[0] : undefined;
+}
+
+/**
+ * Samplers by schema `type`, objects being the fallback.
+ */
+const SAMPLERS = {
+    'array': (api, schema, seen) => sampleArray(api, schema, seen),
+    'boolean': () => true,
+    'file': () => '',
+    'integer': (api, schema) => sampleNumber(schema),
+    'null': () => null,
+    'number': (api, schema) => sampleNumber(schema),
+    'string': (api, schema) => sampleString(schema)
+};
+
+/**
+ * Synthesizes a value valid against a schema, preferring the values it declares.
+ * Recursive references are left out: optional properties are omitted and arrays left empty.
+ * @param api
+ * @param schema
+ * @param seen - the references being expanded
+ * @returns {*} undefined when the value would recurse
+ */
+function sample(api, schema, seen) {
+    seen = seen || [];
+
+    if (schema && thing.isString(schema.$ref)) {
+        if (seen.indexOf(schema.$ref) > -1) {
+            return undefined;
+        }
+        return sample(api, openapi.deref(api, schema), seen.concat(schema.$ref));
+    }
+    if (!thing.isObject(schema)) {
+        return {};
+    }
+
+    const declared = declaredValue(schema);
+    return declared !== undefined ? declared : sampleType(api, schema, seen);
+}
+
+/**
+ * Synthesizes a value from a schema's composition keywords or `type`.
+ * @param api
+ * @param schema
+ * @param seen
+ * @returns {*}
+ */
+function sampleType(api, schema, seen) {
+    if (schema.allOf) {
+        return schema.allOf.reduce((merged, part) => Object.assign(merged, sample(api, part, seen)), {});
+    }
+    if (schema.oneOf || schema.anyOf) {
+        return sample(api, (schema.oneOf || schema.anyOf)[0], seen);
+    }
+
+    return (SAMPLERS[schema.type] || sampleObject)(api, schema, seen);
+}
+
+/**
+ * Synthesizes an array holding `minItems` (at least one) sample items.
+ * @param api
+ * @param schema
+ * @param seen
+ * @returns {Array}
+ */
+function sampleArray(api, schema, seen) {
+    const item = sample(api, schema.items, seen);
+    const items = [];
+
+    if (item === undefined) {
+        return items;
+    }
+    for (let i = 0; i < Math.max(schema.minItems || 0, 1); ++i) {
+        items.push(item);
+    }
+    return items;
+}
+
+/**
+ * Synthesizes an object with every declared property.
+ * @param api
+ * @param schema
+ * @param seen
+ * @returns {Object}
+ */
+function sampleObject(api, schema, seen) {
+    const value = {};
+
+    Object.keys(schema.properties || {}).forEach(name => {
+        const property = sample(api, schema.properties[name], seen);
+        if (property !== undefined) {
+            value[name] = property;
+        }
+    });
+
+    return value;
+}
+
+/**
+ * Reads the `code` and `example` preferences of a `Prefer: code=404, example=notFound` header.
+ * @param header
+ * @returns {Object}
+ */
+function parsePrefer(header) {
+    const preferences = {};
+
+    (header || '').split(/[,;]/).forEach(preference => {
+        const index = preference.indexOf('=');
+        if (index > 0) {
+            preferences[preference.slice(0, index).trim().toLowerCase()] = preference.slice(index + 1).trim().replace(/^"|"$/g, '');
+        }
+    });
+
+    return preferences;
+}
+
+/**
+ * Picks the status to mock: the preferred one, else the first 2xx, else `default` as a 200, else the first declared.
+ * @param responses
+ * @param preferred
+ * @returns {{status: number, response: Object}|undefined}
+ */
+function pickResponse(responses, preferred) {
+    const statuses = Object.keys(responses || {});
+
+    if (preferred) {
+        const response = responses[preferred] || responses.default;
+        return response && { status: Number(preferred), response: response };
+    }
+
+    const status = statuses.filter(code => /^2\d\d$/.test(code)).sort()[0] ||
+        (responses.default ? 'default' : statuses.sort()[0]);
+
+    return status && {
+        status: status === 'default' ? 200 : Number(status),
+        response: responses[status]
+    };
+}
+
+/**
+ * Finds the body of a Swagger 2.0 response: its `examples` entry for the media type, its `x-example`,
+ * else a sample of its schema.
+ * @param api
+ * @param response
+ * @param mediaType
+ * @returns {*} undefined when the response has no body
+ */
+function swaggerBody(api, response, mediaType) {
+    if (response.examples && response.examples[mediaType] !== undefined) {
+        return response.examples[mediaType];
+    }
+    if (response['x-example'] !== undefined) {
+        return response['x-example'];
+    }
+    return response.schema ? sample(api, response.schema) : undefined;
+}
+
+/**
+ * Finds the body of an OpenAPI 3.0 response for the media type: its `example`, the preferred or first of
+ * its `examples`, else a sample of its schema.
+ * @param api
+ * @param response
+ * @param mediaType
+ * @param preferred - the name of an example
+ * @returns {*} undefined when the response has no body
+ */
+function openApi3Body(api, response, mediaType, preferred) {
+    const content = response.content && response.content[mediaType];
+    const names = Object.keys(content && content.examples || {});
+
+    if (!content) {
+        return undefined;
+    }
+    if (content.example !== undefined) {
+        return content.example;
+    }
+    if (names.length) {
+        return openapi.deref(api, content.examples[names.indexOf(preferred) > -1 ? preferred : names[0]]).value;
+    }
+    return content.schema ? sample(api, content.schema) : undefined;
+}
+
+/**
+ * Sends a mocked body in its media type, serialized as JSON unless it is a string of a non-JSON type.
+ * @param res
+ * @param body - undefined to send no body
+ * @param mediaType
+ */
+function sendBody(res, body, mediaType) {
+    if (body === undefined) {
+        return res.end();
+    }
+
+    res.type(mediaType);
+    if (/[/+]json$/.test(mediaType) || !thing.isString(body)) {
+        return res.send(JSON.stringify(body));
+    }
+    res.send(body);
+}
+
+/**
+ * Makes a handler answering an operation from its spec: declared examples when present, else a payload
+ * synthesized from the response schema, in the negotiated media type. A `Prefer: code=404` request header
+ * picks the response status, `Prefer: example=name` an OpenAPI 3.0 named example. Codes that are no status
+ * from 100 to 599 are rejected with a 400.
+ * @param api
+ * @param operation
+ * @param produces - the media types the operation produces
+ * @returns {function}
+ */
+function mockHandler(api, operation, produces) {
+
+    return function mockOperation(req, res, next) {
+        const prefer = parsePrefer(req.header('prefer'));
+
+        if (prefer.code !== undefined && !/^[1-5]\d\d$/.test(prefer.code)) {
+            return next(errors.createError(400, 'Bad Request', `Expected Prefer code to be a status from 100 to 599, not ${prefer.code}`));
+        }
+
+        const picked = pickResponse(operation.responses, prefer.code);
+
+        if (!picked) {
+            return next(errors.createError(400, 'Bad Request', `No mock response for status ${prefer.code}`));
+        }
+
+        const response = openapi.deref(api, picked.response);
+        const mediaType = req.mediaTypes && req.mediaTypes.produces ||
+            (produces && produces[0]) || 'application/json';
+        const body = openapi.isOpenApi3(api) ?
+            openApi3Body(api, response, mediaType, prefer.example) :
+            swaggerBody(api, response, mediaType);
+
+        res.status(picked.status);
+        sendBody(res, body, mediaType);
+    };
+}
+
+/**
+ * Builds routes answering from the spec for every operation `routes` has no handler for.
+ * @param options
+ * @param routes - the routes built from the handlers
+ * @param buildRoutes - builds the routes of `options`
+ * @returns {Array}
+ */
+function mockRoutes(options, routes, buildRoutes) {
+    const implemented = routes.map(route => `${route.method} ${route.path}`);
+    const all = buildRoutes(Object.assign({}, options, {
+        defaulthandler: function placeholder() {}
+    }));
+
+    return all
+        .filter(route => implemented.indexOf(`${route.method} ${route.path}`) === -1)
+        .map(route => Object.assign(route, {
+            handler: mockHandler(options.api, options.api.paths[route.path][route.method], route.produces)
+        }));
+}
+
+module.exports = {
+    mockHandler: mockHandler,
+    mockRoutes: mockRoutes,
+    sample: sample
+};
@@ -0,0 +1,323 @@
+'use strict';
+
+const assert = require('assert');
+const stream = require('stream');
+const thing = require('core-util-is');
+const mediatypes = require('./mediatypes');
+
+/**
+ * Largest multipart body read unless the file parameters allow more or `x-body-limit` says otherwise, in bytes.
+ */
+const DEFAULT_LIMIT = 10 * 1024 * 1024;
+
+/**
+ * Tests whether an operation consumes `multipart/form-data`.
+ * @param consumes
+ * @returns {boolean}
+ */
+function isMultipart(consumes) {
+    return Boolean(consumes && mediatypes.matchContentType('multipart/form-data', consumes));
+}
+
+/**
+ * Reads the limits of a file parameter: `x-max-size` (bytes per file), `x-max-count` (files in the field,
+ * 1 unless given) and `x-media-types` (accepted media types, ranges allowed).
+ * @param parameter
+ * @returns {{maxSize: number, maxCount: number, mediaTypes: Array}}
+ */
+function fileLimits(parameter) {
+    const limits = {
+        maxSize: parameter['x-max-size'],
+        maxCount: parameter['x-max-count'] || 1,
+        mediaTypes: parameter['x-media-types']
+    };
+
+    assert.ok(thing.isUndefined(limits.maxSize) || thing.isNumber(limits.maxSize) && limits.maxSize > 0,
+        `Expected x-max-size of ${parameter.name} to be a positive number of bytes.`);
+    assert.ok(thing.isNumber(limits.maxCount) && limits.maxCount > 0, `Expected x-max-count of ${parameter.name} to be a positive number.`);
+    assert.ok(!limits.mediaTypes || thing.isArray(limits.mediaTypes), `Expected x-media-types of ${parameter.name} to be an array.`);
+
+    return limits;
+}
+
+/**
+ * The files a request carries for a field, whether parsed here (`req.files` by field name) or by
+ * another parser setting `req.file` or an array of `req.files`.
+ * @param req
+ * @param name
+ * @returns {Array}
+ */
+function requestFiles(req, name) {
+    if (thing.isObject(req.files) && !thing.isArray(req.files)) {
+        return req.files[name] || [];
+    }
+    return [].concat(req.files || req.file || []).filter(file => file && file.fieldname === name);
+}
+
+/**
+ * Parses the headers of a part.
+ * @param text
+ * @returns {Object} by lower case name
+ */
+function partHeaders(text) {
+    const headers = {};
+
+    text.split('\r\n').forEach(line => {
+        const index = line.indexOf(':');
+        if (index > 0) {
+            headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+        }
+    });
+
+    return headers;
+}
+
+/**
+ * Reads a `Content-Disposition` parameter.
+ * @param disposition
+ * @param name
+ * @returns {string|undefined}
+ */
+function dispositionParam(disposition, name) {
+    const match = new RegExp(`(?:^|;)\\s*${name}="((?:[^"\\\\]|\\\\.)*)"`, 'i').exec(disposition) ||
+        new RegExp(`(?:^|;)\\s*${name}=([^;\\s]+)`, 'i').exec(disposition);
+
+    return match ? match[1].replace(/\\(.)/g, '$1') : undefined;
+}
+
+/**
+ * Makes a file object, shaped like multer's, whose content is also readable as a stream.
+ * @param fieldname
+ * @param headers
+ * @param buffer
+ * @returns {Object}
+ */
+function makeFile(fieldname, headers, buffer) {
+    const file = {
+        fieldname: fieldname,
+        originalname: dispositionParam(headers['content-disposition'], 'filename'),
+        encoding: headers['content-transfer-encoding'] || '7bit',
+        mimetype: headers['content-type'] || 'application/octet-stream',
+        size: buffer.length,
+        buffer: buffer
+    };
+
+    Object.defineProperty(file, 'createReadStream', {
+        value: function createReadStream() {
+            const readable = new stream.PassThrough();
+            readable.end(buffer);
+            return readable;
+        }
+    });
+
+    return file;
+}
+
+/**
+ * Splits a multipart body into its parts.
+ * @param body
+ * @param boundary
+ * @returns {Array|null} `{ headers, data }` parts, null when the body is malformed
+ */
+function parseParts(body, boundary) {
+    const delimiter = Buffer.from(`--${boundary}`);
+    const parts = [];
+    let position = body.indexOf(delimiter);
+
+    while (position > -1) {
+        position += delimiter.length;
+
+        if (body.slice(position, position + 2).toString() === '--') {
+            return parts;
+        }
+
+        const headerEnd = body.indexOf('\r\n\r\n', position);
+        const next = headerEnd > -1 ? body.indexOf(Buffer.from(`\r\n--${boundary}`), headerEnd) : -1;
+
+        if (next < 0) {
+            return null;
+        }
+
+        parts.push({
+            headers: partHeaders(body.slice(position, headerEnd).toString()),
+            data: body.slice(headerEnd + 4, next)
+        });
+        position = next + 2;
+    }
+
+    return null;
+}
+
+/**
+ * Parses a multipart body: fields go to `body` (repeated fields as arrays), files to `files` by field name.
+ * @param buffer
+ * @param boundary
+ * @returns {{body: Object, files: Object}|null} null when the body is malformed
+ */
+function parse(buffer, boundary) {
+    const parts = parseParts(buffer, boundary);
+    const form = { body: {}, files: {} };
+
+    if (!parts) {
+        return null;
+    }
+
+    parts.forEach(part => {
+        const disposition = part.headers['content-disposition'] || '';
+        const name = dispositionParam(disposition, 'name');
+
+        if (thing.isUndefined(name)) {
+            return;
+        }
+        if (!thing.isUndefined(dispositionParam(disposition, 'filename'))) {
+            form.files[name] = (form.files[name] || []).concat(makeFile(name, part.headers, part.data));
+            return;
+        }
+
+        const value = part.data.toString();
+        form.body[name] = name in form.body ? [].concat(form.body[name], value) : value;
+    });
+
+    return form;
+}
+
+/**
+ * Reads a request body up to a limit.
+ * @param req
+ * @param limit
+ * @param callback - `(error, buffer)`, `error.tooLarge` once over the limit
+ */
+function readBody(req, limit, callback) {
+    const chunks = [];
+    let length = 0;
+    let done = false;
+
+    function finish(error, buffer) {
+        if (!done) {
+            done = true;
+            callback(error, buffer);
+        }
+    }
+
+    req.on('data', chunk => {
+        length += chunk.length;
+        if (length > limit) {
+            const error = new Error(`Multipart body exceeds ${limit} bytes`);
+            error.tooLarge = true;
+            req.removeAllListeners('data');
+            req.resume();
+            return finish(error);
+        }
+        chunks.push(chunk);
+    });
+    req.once('end', () => finish(null, Buffer.concat(chunks)));
+    req.once('error', finish);
+}
+
+/**
+ * Checks the files of a request against the limits of the file parameters.
+ * @param req
+ * @param fileParameters
+ * @returns {Array} `errors` entries, empty when every file is within its limits
+ */
+function checkFiles(req, fileParameters) {
+    const failures = [];
+
+    fileParameters.forEach(entry => {
+        const files = requestFiles(req, entry.parameter.name);
+        const limits = entry.limits;
+        const source = { in: 'formData', name: entry.parameter.name };
+
+        if (files.length > limits.maxCount) {
+            failures.push({
+                detail: `Expected at most ${limits.maxCount} files for ${entry.parameter.name}, got ${files.length}`,
+                source: source,
+                status: 400,
+                title: 'Too Many Files'
+            });
+        }
+        files.forEach(file => {
+            if (limits.maxSize && file.size > limits.maxSize) {
+                failures.push({
+                    detail: `File ${file.originalname || ''} exceeds ${limits.maxSize} bytes`,
+                    source: source,
+                    status: 413,
+                    title: 'Payload Too Large'
+                });
+            }
+            if (limits.mediaTypes && !mediatypes.matchContentType(file.mimetype, limits.mediaTypes)) {
+                failures.push({
+                    detail: `Unsupported media type '${file.mimetype}' (valid media types: '${limits.mediaTypes.join("', '")}')`,
+                    source: source,
+                    status: 415,
+                    title: 'Unsupported Media Type'
+                });
+            }
+        });
+    });
+
+    return failures;
+}
+
+/**
+ * Makes the middleware parsing `multipart/form-data` requests into `req.body` and `req.files` (by field name),
+ * then checking the files against the limits of the operation's file parameters. Requests another parser
+ * already read (e.g. multer) are only checked.
+ * @param parameters - the operation's parameters
+ * @param createError - `(status, title, description, errors)`
+ * @param bodyLimit - the operation's body limit in bytes, if it declares one
+ * @returns {function}
+ */
+function multipartParser(parameters, createError, bodyLimit) {
+    const fileParameters = parameters
+        .filter(parameter => parameter.in === 'formData' && parameter.type === 'file')
+        .map(parameter => ({ parameter: parameter, limits: fileLimits(parameter) }));
+    const declared = fileParameters.reduce((total, entry) => total + (entry.limits.maxSize || 0) * entry.limits.maxCount, 0);
+    const limit = bodyLimit || Math.max(DEFAULT_LIMIT, declared);
+
+    function check(req, next) {
+        const failures = checkFiles(req, fileParameters);
+
+        if (failures.length) {
+            const status = failures.every(failure => failure.status === failures[0].status) ? failures[0].status : 400;
+            return next(createError(status, failures[0].title, failures[0].detail, failures));
+        }
+        next();
+    }
+
+    return function parseMultipart(req, res, next) {
+        const contentType = mediatypes.parse(req.header('content-type'));
+        const boundary = contentType && contentType.params.boundary;
+
+        if (!contentType || contentType.type !== 'multipart' || contentType.subtype !== 'form-data' || req._body || req.files || req.file) {
+            req.body = req.body || {};
+            return check(req, next);
+        }
+        if (!boundary) {
+            return next(createError(400, 'Malformed Request Body', 'Multipart body without a boundary'));
+        }
+
+        req._body = true;
+        readBody(req, limit, function (error, buffer) {
+            if (error) {
+                return next(error.tooLarge ? createError(413, 'Payload Too Large', error.message) : error);
+            }
+
+            const form = parse(buffer, boundary);
+
+            if (!form) {
+                return next(createError(400, 'Malformed Request Body', 'Malformed multipart body'));
+            }
+
+            req.body = form.body;
+            req.files = form.files;
+            check(req, next);
+        });
+    };
+}
+
+module.exports = {
+    isMultipart: isMultipart,
+    multipartParser: multipartParser,
+    requestFiles: requestFiles
+};
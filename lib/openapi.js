@@ -0,0 +1,299 @@
+'use strict';
+
+const url = require('url');
+const thing = require('core-util-is');
+const buildroutes = require('swaggerize-routes/lib/buildroutes');
+const utils = require('swaggerize-routes/lib/utils');
+
+/**
+ * Schema keywords a Swagger 2.0 non-body parameter carries inline.
+ */
+const PARAMETER_SCHEMA_KEYS = [
+    'type', 'format', 'items', 'enum', 'default', 'pattern',
+    'maximum', 'minimum', 'exclusiveMaximum', 'exclusiveMinimum',
+    'maxLength', 'minLength', 'maxItems', 'minItems', 'uniqueItems', 'multipleOf'
+];
+
+/**
+ * Tests whether an api document is OpenAPI 3.0.
+ * @param api
+ * @returns {boolean}
+ */
+function isOpenApi3(api) {
+    return thing.isString(api && api.openapi) && api.openapi.indexOf('3.') === 0;
+}
+
+/**
+ * Resolves local references (`#/components/...`) until a non-reference object is found.
+ * @param api
+ * @param obj
+ * @returns {*}
+ */
+function deref(api, obj) {
+    const seen = [];
+
+    while (obj && thing.isString(obj.$ref) && obj.$ref.indexOf('#/') === 0) {
+        if (seen.indexOf(obj.$ref) > -1) {
+            throw new Error(`Circular reference: ${seen.concat(obj.$ref).join(' -> ')}`);
+        }
+        seen.push(obj.$ref);
+        obj = obj.$ref.slice(2).split('/').reduce((target, token) => {
+            return target && target[token.replace(/~1/g, '/').replace(/~0/g, '~')];
+        }, api);
+    }
+
+    return obj;
+}
+
+/**
+ * The path the api is served under: `basePath` for Swagger 2.0, the first server's path for OpenAPI 3.0.
+ * @param api
+ * @returns {string}
+ */
+function basePath(api) {
+    if (!isOpenApi3(api)) {
+        return api.basePath;
+    }
+
+    const server = api.servers && api.servers[0];
+    if (!server || !server.url) {
+        return '/';
+    }
+
+    const variables = server.variables || {};
+    const expanded = server.url.replace(/{([^}]+)}/g, (match, name) => {
+        return variables[name] ? variables[name].default : match;
+    });
+
+    return url.parse(expanded).pathname || '/';
+}
+
+/**
+ * Overrides the path the api is served under.
+ * @param api
+ * @param mountpath
+ */
+function setBasePath(api, mountpath) {
+    if (!isOpenApi3(api)) {
+        api.basePath = mountpath;
+        return;
+    }
+    api.servers = [{ url: mountpath }];
+}
+
+/**
+ * Translates OpenAPI 3.0 `style`/`explode` into a Swagger 2.0 `collectionFormat`.
+ * @param parameter
+ * @returns {string}
+ */
+function collectionFormat(parameter) {
+    const style = parameter.style || (parameter.in === 'query' || parameter.in === 'cookie' ? 'form' : 'simple');
+    const explode = thing.isBoolean(parameter.explode) ? parameter.explode : style === 'form';
+
+    switch (style) {
+        case 'form':
+            return explode ? 'multi' : 'csv';
+        case 'spaceDelimited':
+            return 'ssv';
+        case 'pipeDelimited':
+            return 'pipes';
+        default:
+            return 'csv';
+    }
+}
+
+/**
+ * Converts an OpenAPI 3.0 parameter to a Swagger 2.0 one, lifting its `schema` inline.
+ * @param api
+ * @param parameter
+ * @returns {Object}
+ */
+function toParameter(api, parameter) {
+    parameter = deref(api, parameter);
+
+    const schema = deref(api, parameter.schema) || {};
+    const converted = {
+        name: parameter.name,
+        in: parameter.in,
+        description: parameter.description,
+        required: parameter.required,
+        allowEmptyValue: parameter.allowEmptyValue
+    };
+
+    PARAMETER_SCHEMA_KEYS.forEach(key => {
+        if (key in schema) {
+            converted[key] = schema[key];
+        }
+    });
+
+    converted.type = converted.type || 'string';
+    if (converted.type === 'array') {
+        converted.collectionFormat = collectionFormat(parameter);
+    }
+
+    return converted;
+}
+
+/**
+ * Lists the media types of an operation's responses.
+ * @param api
+ * @param responses
+ * @returns {Array}
+ */
+function responseMediaTypes(api, responses) {
+    const mediaTypes = [];
+
+    Object.keys(responses || {}).forEach(status => {
+        Object.keys(deref(api, responses[status]).content || {}).forEach(mediaType => {
+            if (mediaTypes.indexOf(mediaType) === -1) {
+                mediaTypes.push(mediaType);
+            }
+        });
+    });
+
+    return mediaTypes;
+}
+
+/**
+ * Converts an OpenAPI 3.0 operation to a Swagger 2.0 one. The request body is left to
+ * the per-content-type validator built from the original operation.
+ * @param api
+ * @param operation
+ * @returns {Object}
+ */
+function toOperation(api, operation) {
+    const requestBody = deref(api, operation.requestBody);
+
+    return Object.assign({}, operation, {
+        consumes: requestBody ? Object.keys(requestBody.content || {}) : undefined,
+        produces: responseMediaTypes(api, operation.responses),
+        parameters: (operation.parameters || []).map(parameter => toParameter(api, parameter))
+    });
+}
+
+/**
+ * Lists every scope the api's security requirements ask of a scheme.
+ * @param api
+ * @param name
+ * @returns {Object}
+ */
+function requiredScopes(api, name) {
+    const scopes = {};
+    const requirements = [].concat(api.security || []);
+
+    Object.keys(api.paths || {}).forEach(pathName => {
+        utils.verbs.forEach(verb => {
+            const operation = api.paths[pathName][verb];
+            Array.prototype.push.apply(requirements, operation && operation.security || []);
+        });
+    });
+
+    requirements.forEach(requirement => {
+        (requirement[name] || []).forEach(scope => {
+            scopes[scope] = scope;
+        });
+    });
+
+    return scopes;
+}
+
+/**
+ * The security schemes of an api, keyed by name, each with the `scopes` it defines.
+ * OpenAPI 3.0 `components.securitySchemes` merge the scopes of every oauth2 flow.
+ * @param api
+ * @returns {Object|undefined}
+ */
+function securityDefinitions(api) {
+    if (!isOpenApi3(api)) {
+        return api.securityDefinitions;
+    }
+
+    const schemes = api.components && api.components.securitySchemes;
+    if (!schemes) {
+        return undefined;
+    }
+
+    const definitions = {};
+    Object.keys(schemes).forEach(name => {
+        const scheme = deref(api, schemes[name]);
+        let scopes = {};
+
+        if (scheme.type === 'oauth2') {
+            Object.keys(scheme.flows || {}).forEach(flow => Object.assign(scopes, scheme.flows[flow].scopes));
+        } else {
+            scopes = requiredScopes(api, name);
+        }
+
+        definitions[name] = Object.assign({}, scheme, { scopes: scopes });
+    });
+
+    return definitions;
+}
+
+/**
+ * Converts an OpenAPI 3.0 document to the Swagger 2.0 shape routes are built from.
+ * `components` is kept so that local references keep resolving.
+ * @param api
+ * @returns {Object}
+ */
+function toSwagger2(api) {
+    const paths = {};
+
+    Object.keys(api.paths || {}).forEach(pathName => {
+        const pathItem = api.paths[pathName];
+        const converted = Object.assign({}, pathItem, {
+            parameters: pathItem.parameters && pathItem.parameters.map(parameter => toParameter(api, parameter))
+        });
+
+        utils.verbs.forEach(verb => {
+            if (pathItem[verb]) {
+                converted[verb] = toOperation(api, pathItem[verb]);
+            }
+        });
+
+        paths[pathName] = converted;
+    });
+
+    return Object.assign({}, api, {
+        basePath: basePath(api),
+        paths: paths,
+        securityDefinitions: securityDefinitions(api)
+    });
+}
+
+/**
+ * Builds the routes of an OpenAPI 3.0 document with swaggerize-routes.
+ * @param options - `handlers` already resolved to an absolute path or an object
+ * @returns {Array}
+ */
+function buildRoutes(options) {
+    return buildroutes(Object.assign({}, options, {
+        api: toSwagger2(options.api)
+    }));
+}
+
+/**
+ * Leaves out the root-level vendor extensions of a Swagger 2.0 document, which the schema swaggerize-routes
+ * validates against does not allow.
+ * @param api
+ * @returns {Object}
+ */
+function withoutRootExtensions(api) {
+    return Object.keys(api).reduce((kept, key) => {
+        if (key.indexOf('x-') !== 0) {
+            kept[key] = api[key];
+        }
+        return kept;
+    }, {});
+}
+
+module.exports = {
+    basePath: basePath,
+    buildRoutes: buildRoutes,
+    deref: deref,
+    isOpenApi3: isOpenApi3,
+    securityDefinitions: securityDefinitions,
+    setBasePath: setBasePath,
+    toSwagger2: toSwagger2,
+    withoutRootExtensions: withoutRootExtensions
+};
@@ -0,0 +1,130 @@
+'use strict';
+
+const assert = require('assert');
+const thing = require('core-util-is');
+
+/**
+ * Creates the default rate limit store: fixed windows counted in memory, for a single process.
+ * A store is any object with `increment(key, windowMs, callback)`, calling back with `(error, { count, reset })`
+ * where `count` is the number of hits in the current window, this one included, and `reset` the time
+ * (in milliseconds since the epoch) the window ends.
+ * @returns {{increment: function}}
+ */
+function memoryStore() {
+    const windows = new Map();
+    let hits = 0;
+
+    function sweep(now) {
+        windows.forEach((window, key) => {
+            if (window.reset <= now) {
+                windows.delete(key);
+            }
+        });
+    }
+
+    return {
+        increment: function (key, windowMs, callback) {
+            const now = Date.now();
+            let window = windows.get(key);
+
+            if (++hits % 1000 === 0) {
+                sweep(now);
+            }
+            if (!window || window.reset <= now) {
+                window = { count: 0, reset: now + windowMs };
+                windows.set(key, window);
+            }
+
+            window.count++;
+            callback(null, { count: window.count, reset: window.reset });
+        }
+    };
+}
+
+/**
+ * Makes the function reading the client key a rate limit counts by: `ip` (the default), `header:<name>`
+ * or `query:<name>`. Requests without the header or query value count by IP.
+ * @param key
+ * @returns {function}
+ */
+function clientKey(key) {
+    const index = (key || 'ip').indexOf(':');
+    const source = index > -1 ? key.slice(0, index) : key || 'ip';
+    const name = index > -1 ? key.slice(index + 1) : undefined;
+    const sources = {
+        header: req => req.header(name),
+        ip: () => undefined,
+        query: req => req.query[name]
+    };
+
+    assert.ok(sources[source] && (source === 'ip' || name), `Unsupported x-rate-limit key (${key}).`);
+
+    return function (req) {
+        const value = sources[source](req);
+        return value ? `${source}:${name}:${value}` : `ip:${req.ip}`;
+    };
+}
+
+/**
+ * Reads the `x-rate-limit` of an operation, else of its path.
+ * @param pathItem
+ * @param operation
+ * @returns {{limit: number, window: number, key: string, scope: string}|undefined} `scope` tells where it was declared
+ */
+function rateLimitOf(pathItem, operation) {
+    const declared = operation && operation['x-rate-limit'] ? 'operation' : pathItem && pathItem['x-rate-limit'] ? 'path' : null;
+
+    if (!declared) {
+        return undefined;
+    }
+
+    const rateLimit = declared === 'operation' ? operation['x-rate-limit'] : pathItem['x-rate-limit'];
+
+    assert.ok(thing.isNumber(rateLimit.limit) && rateLimit.limit > 0, 'Expected x-rate-limit limit to be a positive number.');
+    assert.ok(thing.isNumber(rateLimit.window) && rateLimit.window > 0, 'Expected x-rate-limit window to be a positive number of seconds.');
+
+    return Object.assign({ scope: declared }, rateLimit);
+}
+
+/**
+ * Makes the middleware enforcing a rate limit. It sets the `RateLimit-Limit`, `RateLimit-Remaining`,
+ * `RateLimit-Reset` and `RateLimit-Policy` headers and, once the limit is exceeded, `Retry-After` and passes a 429.
+ * @param rateLimit - `{ limit, window, key }`, window in seconds
+ * @param bucket - the name hits are counted under, shared by the operations a limit applies to
+ * @param store
+ * @param createError - `(status, title, description)`
+ * @returns {function}
+ */
+function rateLimiter(rateLimit, bucket, store, createError) {
+    const keyOf = clientKey(rateLimit.key);
+    const windowMs = rateLimit.window * 1000;
+
+    return function limitRate(req, res, next) {
+        store.increment(`${bucket}|${keyOf(req)}`, windowMs, function (error, hit) {
+            if (error) {
+                return next(error);
+            }
+
+            const reset = Math.max(0, Math.ceil((hit.reset - Date.now()) / 1000));
+
+            res.set('RateLimit-Limit', String(rateLimit.limit));
+            res.set('RateLimit-Remaining', String(Math.max(0, rateLimit.limit - hit.count)));
+            res.set('RateLimit-Reset', String(reset));
+            res.set('RateLimit-Policy', `${rateLimit.limit};w=${rateLimit.window}`);
+
+            if (hit.count > rateLimit.limit) {
+                res.set('Retry-After', String(reset));
+                return next(createError(429, 'Too Many Requests',
+                    `Rate limit of ${rateLimit.limit} requests per ${rateLimit.window} seconds exceeded`));
+            }
+
+            next();
+        });
+    };
+}
+
+module.exports = {
+    memoryStore: memoryStore,
+    rateLimitOf: rateLimitOf,
+    rateLimiter: rateLimiter
+};
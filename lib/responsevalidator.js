@@ -0,0 +1,157 @@
+'use strict';
+
+const enjoi = require('enjoi');
+const thing = require('core-util-is');
+const debuglog = require('debuglog')('swaggerize-express-vmt');
+const errors = require('./errors');
+const mediatypes = require('./mediatypes');
+const openapi = require('./openapi');
+
+/**
+ * Finds the declared response for a status code, falling back to `default`.
+ * @param api
+ * @param responses
+ * @param status
+ * @returns {Object|undefined}
+ */
+function findResponse(api, responses, status) {
+    return openapi.deref(api, responses[String(status)] || responses.default);
+}
+
+/**
+ * Finds the schema of a declared response: `schema` in Swagger 2.0, or the schema
+ * of the `content` entry matching the response's Content-Type in OpenAPI 3.0.
+ * @param response
+ * @param res
+ * @returns {Object|undefined}
+ */
+function findSchema(response, res) {
+    if (response.schema || !response.content) {
+        return response.schema;
+    }
+
+    const mediaType = mediatypes.matchContentType(res.get('Content-Type') || 'application/json', Object.keys(response.content));
+    return mediaType && response.content[mediaType].schema;
+}
+
+/**
+ * Reads the body the way the client will see it, parsing JSON strings and ignoring raw buffers.
+ * @param res
+ * @param body
+ * @returns {{skip: boolean, value: *}}
+ */
+function readBody(res, body) {
+    const contentType = res.get('Content-Type') || '';
+
+    if (Buffer.isBuffer(body)) {
+        return { skip: true };
+    }
+    if (thing.isString(body) && contentType.indexOf('json') > -1) {
+        try {
+            return { value: JSON.parse(body) };
+        }
+        catch (e) {
+            return { value: body };
+        }
+    }
+    return { value: body };
+}
+
+/**
+ * Compiles (once) and returns the validator for a declared response schema.
+ * @param compiled - cache of compiled schemas, keyed by schema object
+ * @param schema
+ * @param api
+ * @returns {Object}
+ */
+function schemaFor(compiled, schema, api) {
+    if (!compiled.has(schema)) {
+        compiled.set(schema, enjoi(schema, {
+            subSchemas: {
+                '#': api
+            }
+        }).options({ abortEarly: false }));
+    }
+    return compiled.get(schema);
+}
+
+/**
+ * Makes a middleware validating what handlers send against the operation's declared `responses`:
+ * the status code must be declared (or covered by `default`), the body must match the schema and
+ * declared response headers must be present.
+ * @param api
+ * @param options - `validateResponses` is `'log'` to only report violations, otherwise they become a 500.
+ * @returns {function}
+ */
+function makeResponseValidator(api, options) {
+    const compiled = new WeakMap();
+    const mode = options.validateResponses === 'log' ? 'log' : 'error';
+    const log = options.log || debuglog;
+
+    function validate(req, res, body) {
+        const violations = [];
+        const response = findResponse(api, req.swaggerDefinition.responses, res.statusCode);
+
+        if (!response) {
+            violations.push(`Undeclared response status code: ${res.statusCode}`);
+            return violations;
+        }
+
+        Object.keys(response.headers || {}).forEach(name => {
+            if (thing.isNullOrUndefined(res.get(name))) {
+                violations.push(`Missing declared response header: '${name}'`);
+            }
+        });
+
+        const schema = findSchema(response, res);
+        if (schema) {
+            const read = readBody(res, body);
+            const result = read.skip ? {} : schemaFor(compiled, schema, api).validate(read.value);
+            if (result.error) {
+                result.error.details.forEach(detail => violations.push(detail.message));
+            }
+        }
+
+        return violations;
+    }
+
+    return function validateResponse(req, res, next) {
+        const json = res.json;
+        const send = res.send;
+        let checked = false;
+
+        if (!req.swaggerDefinition || !req.swaggerDefinition.responses) {
+            return next();
+        }
+
+        function intercept(original) {
+            return function (body) {
+                if (checked || res.locals.swaggerizeError) {
+                    return original.apply(res, arguments);
+                }
+                checked = true;
+
+                const violations = validate(req, res, body);
+                if (violations.length) {
+                    log(`Response validation failed for ${req.method} ${req.originalUrl}: ${violations.join('; ')}`);
+                    if (mode === 'error') {
+                        res.json = json;
+                        res.send = send;
+                        return errors.send(req, res, violations.map(detail => ({
+                            detail: detail,
+                            status: 500,
+                            title: 'Response Validation Error'
+                        })), options);
+                    }
+                }
+                return original.apply(res, arguments);
+            };
+        }
+
+        res.json = intercept(json);
+        res.send = intercept(send);
+        next();
+    };
+}
+
+module.exports = makeResponseValidator;
@@ -0,0 +1,174 @@
+'use strict';
+
+const thing = require('core-util-is');
+
+/**
+ * Creates an authorization failure.
+ * @param status - 401 when credentials are missing or invalid, 403 when they lack scopes
+ * @param message
+ * @param challenge - the `WWW-Authenticate` challenge to answer with
+ * @returns {Error}
+ */
+function failure(status, message, challenge) {
+    const error = new Error(message);
+    error.status = status;
+    error.challenge = challenge;
+    return error;
+}
+
+/**
+ * The credentials a security scheme carries: `apiKey`, `basic` or `bearer` (oauth2, OpenID Connect and
+ * OpenAPI 3.0 `http` bearer schemes).
+ * @param definition
+ * @returns {string}
+ */
+function kindOf(definition) {
+    if (definition.type === 'http') {
+        return String(definition.scheme).toLowerCase() === 'basic' ? 'basic' : 'bearer';
+    }
+    if (definition.type === 'oauth2' || definition.type === 'openIdConnect') {
+        return 'bearer';
+    }
+    return definition.type;
+}
+
+/**
+ * Reads the credentials of an `Authorization` header using an auth scheme.
+ * @param req
+ * @param scheme - lower case, e.g. `basic`
+ * @returns {string|undefined}
+ */
+function readAuthorization(req, scheme) {
+    const header = req.header('authorization') || '';
+    const index = header.indexOf(' ');
+
+    if (index < 0 || header.slice(0, index).toLowerCase() !== scheme) {
+        return undefined;
+    }
+    return header.slice(index + 1).trim() || undefined;
+}
+
+/**
+ * Credential extractors by kind of scheme.
+ */
+const extractors = {
+    apiKey: function (req, definition) {
+        const sources = {
+            cookie: () => (req.cookies || {})[definition.name],
+            header: () => req.header(definition.name),
+            query: () => req.query[definition.name]
+        };
+        const key = sources[definition.in] && sources[definition.in]();
+
+        return key ? { key: key } : undefined;
+    },
+    basic: function (req) {
+        const encoded = readAuthorization(req, 'basic');
+        const decoded = encoded ? Buffer.from(encoded, 'base64').toString() : '';
+        const index = decoded.indexOf(':');
+
+        return index > -1 ? { username: decoded.slice(0, index), password: decoded.slice(index + 1) } : undefined;
+    },
+    bearer: function (req) {
+        const token = readAuthorization(req, 'bearer');
+
+        return token ? { token: token } : undefined;
+    }
+};
+
+/**
+ * The `WWW-Authenticate` challenge of a security scheme, if it has one.
+ * @param definition
+ * @param realm
+ * @param params - extra auth-params, e.g. `error="invalid_token"`
+ * @returns {string|undefined}
+ */
+function challenge(definition, realm, params) {
+    const schemes = {
+        basic: 'Basic',
+        bearer: 'Bearer'
+    };
+    const scheme = schemes[kindOf(definition)];
+
+    return scheme && [`${scheme} realm="${realm.replace(/["\\]/g, '\\$&')}"`].concat(params || []).join(', ');
+}
+
+/**
+ * The scopes a verify function granted, as `scopes` in an array or a space separated string.
+ * @param auth
+ * @returns {Array}
+ */
+function grantedScopes(auth) {
+    const scopes = auth.scopes;
+
+    return thing.isString(scopes) ? scopes.split(' ').filter(scope => scope) : scopes || [];
+}
+
+/**
+ * Makes the built-in authorizer of a security scheme. It extracts the credentials the scheme describes
+ * (`{ key }` for apiKey, `{ username, password }` for basic, `{ token }` for oauth2 and bearer) and passes
+ * them to the `verify` option, a function `(credentials, req, callback)` or an object of them by scheme name.
+ * `callback(error, auth)` with a falsy `auth` rejects the credentials; `auth.scopes` must hold the required scopes.
+ * @param name - the scheme's name
+ * @param definition
+ * @param options
+ * @returns {function|undefined} `(req, res, scopes, callback)`, undefined without a verify function for the scheme
+ */
+function authorizer(name, definition, options) {
+    const verify = thing.isFunction(options.verify) ? options.verify : options.verify && options.verify[name];
+    const extract = extractors[kindOf(definition)];
+    const realm = options.api.info && options.api.info.title || 'api';
+
+    if (!thing.isFunction(verify) || !extract) {
+        return undefined;
+    }
+
+    return function authorizeScheme(req, res, scopes, callback) {
+        const credentials = extract(req, definition);
+
+        if (!credentials) {
+            return callback(failure(401, `Missing credentials for ${name}.`, challenge(definition, realm)));
+        }
+
+        credentials.scheme = name;
+
+        verify(credentials, req, function (error, auth) {
+            if (error) {
+                return callback(error);
+            }
+            if (!auth) {
+                return callback(failure(401, `Invalid credentials for ${name}.`,
+                    challenge(definition, realm, kindOf(definition) === 'bearer' ? 'error="invalid_token"' : undefined)));
+            }
+
+            const granted = grantedScopes(auth);
+            const missing = (scopes || []).filter(scope => granted.indexOf(scope) === -1);
+
+            if (missing.length) {
+                return callback(failure(403, `Missing required scopes for ${name}: ${missing.join(', ')}.`,
+                    challenge(definition, realm, ['error="insufficient_scope"', `scope="${scopes.join(' ')}"`])));
+            }
+
+            callback(null, auth);
+        });
+    };
+}
+
+/**
+ * The request header a security scheme's credentials are sent in, if any.
+ * @param definition
+ * @returns {string|undefined}
+ */
+function credentialHeader(definition) {
+    const kind = kindOf(definition);
+
+    if (kind === 'apiKey') {
+        return definition.in === 'header' ? definition.name : undefined;
+    }
+    return kind === 'basic' || kind === 'bearer' ? 'Authorization' : undefined;
+}
+
+module.exports = {
+    authorizer: authorizer,
+    credentialHeader: credentialHeader
+};
@@ -0,0 +1,198 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const thing = require('core-util-is');
+const readhandlers = require('swaggerize-routes/lib/readhandlers');
+const utils = require('swaggerize-routes/lib/utils');
+const openapi = require('./openapi');
+
+/**
+ * Lists the operations of an api.
+ * @param api
+ * @returns {Array} `{ path, method, operation }`
+ */
+function operations(api) {
+    const found = [];
+
+    Object.keys(api.paths || {}).forEach(pathName => {
+        utils.verbs.forEach(verb => {
+            if (api.paths[pathName][verb]) {
+                found.push({ path: pathName, method: verb, operation: api.paths[pathName][verb] });
+            }
+        });
+    });
+
+    return found;
+}
+
+/**
+ * Reads the `handlers` option into a tree of handlers by path segment, with `$verb` keys for the handlers.
+ * @param handlers - a directory or an object
+ * @returns {Object}
+ */
+function handlerTree(handlers) {
+    if (thing.isString(handlers)) {
+        return fs.existsSync(handlers) ? readhandlers(handlers) : {};
+    }
+    return handlers || {};
+}
+
+/**
+ * Lists the handlers, in a tree as `handlerTree` reads it, that match no operation.
+ * @param api
+ * @param tree
+ * @returns {Array} `{ path, method }`
+ */
+function orphanHandlers(api, tree) {
+    const orphans = [];
+
+    function walk(node, segments) {
+        Object.keys(node).forEach(key => {
+            const verb = key.charAt(0) === '$' && key.slice(1).toLowerCase();
+            const pathName = '/' + segments.join('/');
+
+            if (verb && utils.verbs.indexOf(verb) > -1) {
+                if (!api.paths || !api.paths[pathName] || !api.paths[pathName][verb]) {
+                    orphans.push({ path: pathName, method: verb });
+                }
+            } else if (thing.isObject(node[key]) && !thing.isArray(node[key])) {
+                walk(node[key], segments.concat(key));
+            }
+        });
+    }
+
+    walk(tree, []);
+
+    return orphans;
+}
+
+/**
+ * Names an operation in messages, e.g. `GET /pets/{id} (findPetById)`.
+ * @param entry - `{ path, method, operation }`
+ * @returns {string}
+ */
+function describe(entry) {
+    const id = entry.operation && entry.operation.operationId;
+
+    return `${entry.method.toUpperCase()} ${entry.path}${id ? ` (${id})` : ''}`;
+}
+
+/**
+ * Lists the operations the route table has no route for.
+ * @param api
+ * @param routes
+ * @returns {Array}
+ */
+function missingHandlers(api, routes) {
+    const routed = routes.map(route => `${route.method} ${route.path}`);
+
+    return operations(api)
+        .filter(entry => routed.indexOf(`${entry.method} ${entry.path}`) === -1)
+        .map(entry => `${describe(entry)} has no handler.`);
+}
+
+/**
+ * Lists the operationIds used by more than one operation.
+ * @param api
+ * @returns {Array}
+ */
+function duplicateOperationIds(api) {
+    const byId = {};
+
+    operations(api).forEach(entry => {
+        const id = entry.operation.operationId;
+        if (id) {
+            byId[id] = (byId[id] || []).concat(entry);
+        }
+    });
+
+    return Object.keys(byId)
+        .filter(id => byId[id].length > 1)
+        .map(id => `operationId ${id} is used by ${byId[id].map(entry => `${entry.method.toUpperCase()} ${entry.path}`).join(', ')}.`);
+}
+
+/**
+ * Lists the parameters in path templates that an operation does not declare.
+ * @param api
+ * @returns {Array}
+ */
+function missingPathParameters(api) {
+    const problems = [];
+
+    operations(api).forEach(entry => {
+        const declared = (api.paths[entry.path].parameters || []).concat(entry.operation.parameters || [])
+            .map(parameter => openapi.deref(api, parameter))
+            .filter(parameter => parameter && parameter.in === 'path')
+            .map(parameter => parameter.name);
+
+        (entry.path.match(/{[^}]+}/g) || [])
+            .map(template => template.slice(1, -1))
+            .filter(name => declared.indexOf(name) === -1)
+            .forEach(name => problems.push(`${describe(entry)} does not declare path parameter ${name}.`));
+    });
+
+    return problems;
+}
+
+/**
+ * Lists the `x-authorize` modules of security schemes that can not be resolved.
+ * @param api
+ * @param basedir
+ * @returns {Array}
+ */
+function unresolvedAuthorizers(api, basedir) {
+    const definitions = openapi.securityDefinitions(api) || {};
+
+    return Object.keys(definitions)
+        .filter(name => thing.isString(definitions[name]['x-authorize']))
+        .filter(name => {
+            try {
+                require.resolve(path.resolve(basedir, definitions[name]['x-authorize']));
+                return false;
+            }
+            catch (error) {
+                return true;
+            }
+        })
+        .map(name => `x-authorize of ${name} (${definitions[name]['x-authorize']}) can not be resolved.`);
+}
+
+/**
+ * Lists what does not match between an api and its handlers: operations without a handler, handlers without an
+ * operation, unresolved `x-authorize` modules, duplicate operationIds and undeclared path parameters.
+ * @param options - `api`, `routes`, `handlers` and `basedir`, as `swaggerize` resolves them
+ * @returns {Array} messages
+ */
+function problems(options) {
+    const orphans = orphanHandlers(options.api, handlerTree(options.handlers))
+        .map(orphan => `Handler ${orphan.method.toUpperCase()} ${orphan.path} has no operation.`);
+
+    return missingHandlers(options.api, options.routes)
+        .concat(orphans)
+        .concat(unresolvedAuthorizers(options.api, options.basedir))
+        .concat(duplicateOperationIds(options.api))
+        .concat(missingPathParameters(options.api));
+}
+
+/**
+ * Throws one error listing every problem `problems` finds, as `error.problems`.
+ * @param options
+ */
+function check(options) {
+    const found = problems(options);
+
+    if (found.length) {
+        const error = new Error(`Strict mode found ${found.length} problem(s):\n${found.map(problem => `  - ${problem}`).join('\n')}`);
+        error.problems = found;
+        throw error;
+    }
+}
+
+module.exports = {
+    check: check,
+    handlerTree: handlerTree,
+    operations: operations,
+    orphanHandlers: orphanHandlers,
+    problems: problems
+};
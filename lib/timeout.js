@@ -0,0 +1,153 @@
+'use strict';
+
+const assert = require('assert');
+const EventEmitter = require('events');
+const thing = require('core-util-is');
+const errors = require('./errors');
+
+/**
+ * Statuses a timed out request can be answered with.
+ */
+const STATUSES = [503, 504];
+
+/**
+ * Response methods silenced once a timed out request has been answered.
+ */
+const WRITES = ['setHeader', 'removeHeader', 'writeHead', 'write', 'end'];
+
+/**
+ * Reads a timeout: milliseconds, or `{ ms, status }` to answer with a 504 instead of a 503.
+ * @param declared
+ * @returns {{ms: number, status: number}}
+ */
+function readTimeout(declared) {
+    const timeout = thing.isNumber(declared) ? { ms: declared } : declared;
+    const status = timeout.status || 503;
+
+    assert.ok(thing.isNumber(timeout.ms) && timeout.ms > 0, 'Expected x-timeout to be a positive number of milliseconds.');
+    assert.ok(STATUSES.indexOf(status) > -1, `Expected x-timeout status to be one of ${STATUSES.join(', ')}.`);
+
+    return { ms: timeout.ms, status: status };
+}
+
+/**
+ * Reads the `x-timeout` of an operation, else of its path, else the `timeout` option.
+ * @param pathItem
+ * @param operation
+ * @param defaultTimeout
+ * @returns {{ms: number, status: number}|undefined}
+ */
+function timeoutOf(pathItem, operation, defaultTimeout) {
+    const declared = [operation, pathItem]
+        .map(node => node && node['x-timeout'])
+        .concat(defaultTimeout)
+        .filter(timeout => !thing.isNullOrUndefined(timeout))[0];
+
+    return thing.isUndefined(declared) ? undefined : readTimeout(declared);
+}
+
+/**
+ * Makes a response ignore anything written to it from now on.
+ * @param res
+ */
+function ignoreWrites(res) {
+    WRITES.forEach(method => {
+        res[method] = function () {
+            return method === 'write' ? true : res;
+        };
+    });
+}
+
+/**
+ * Makes an abort controller: the platform's `AbortController` where there is one, else one with the same `abort`
+ * and a signal offering `aborted`, `reason`, `onabort`, `addEventListener` and `removeEventListener`.
+ * @returns {{signal: Object, abort: function}}
+ */
+function createController() {
+    if (thing.isFunction(global.AbortController)) {
+        return new global.AbortController();
+    }
+
+    const emitter = new EventEmitter();
+    const signal = {
+        aborted: false,
+        reason: undefined,
+        onabort: null,
+        addEventListener: function (type, listener, settings) {
+            emitter[settings && settings.once ? 'once' : 'on'](type, listener);
+        },
+        removeEventListener: function (type, listener) {
+            emitter.removeListener(type, listener);
+        }
+    };
+
+    return {
+        signal: signal,
+        abort: function (reason) {
+            const event = { type: 'abort', target: signal };
+
+            if (signal.aborted) {
+                return;
+            }
+            signal.aborted = true;
+            signal.reason = reason;
+            if (thing.isFunction(signal.onabort)) {
+                signal.onabort(event);
+            }
+            emitter.emit('abort', event);
+        }
+    };
+}
+
+/**
+ * Makes the middleware answering a request that is not answered in time with a 503 (or 504) in the configured
+ * error format. Handlers get `req.swagger.signal`, an `AbortSignal` (see `createController`) aborted on timeout or
+ * when the client goes away; what they write after a timeout is ignored, and errors they pass on are dropped. A
+ * response already started when the time is up has its connection closed.
+ * @param timeout - `{ ms, status }`
+ * @param options
+ * @returns {function}
+ */
+function timeoutResponses(timeout, options) {
+    return function (req, res, next) {
+        const controller = createController();
+        let finished = false;
+        const timer = setTimeout(function () {
+            const detail = `No response within ${timeout.ms} ms`;
+
+            res.locals.swaggerizeTimedOut = true;
+            controller.abort(errors.createError(timeout.status, 'Request Timeout', detail));
+
+            if (res.headersSent) {
+                // Too late for the error response: cut the connection, so the client does not take what was written
+                // for a whole response, nor wait for the rest.
+                res.destroy();
+            } else {
+                errors.send(req, res, [{ detail: detail, status: timeout.status, title: 'Request Timeout' }], options);
+            }
+            ignoreWrites(res);
+        }, timeout.ms);
+
+        function done() {
+            clearTimeout(timer);
+            if (!finished) {
+                controller.abort(errors.createError(499, 'Client Closed Request', 'The client closed the connection'));
+            }
+        }
+
+        res.once('finish', () => {
+            finished = true;
+            clearTimeout(timer);
+        });
+        res.once('close', done);
+
+        req.swagger = req.swagger || {};
+        req.swagger.signal = controller.signal;
+        next();
+    };
+}
+
+module.exports = {
+    timeoutOf: timeoutOf,
+    timeoutResponses: timeoutResponses
+};
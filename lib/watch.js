@@ -0,0 +1,81 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Lists a directory and all of its subdirectories.
+ * @param dir
+ * @returns {Array}
+ */
+function directories(dir) {
+    let found = [dir];
+
+    fs.readdirSync(dir).forEach(name => {
+        const abspath = path.join(dir, name);
+        if (fs.statSync(abspath).isDirectory()) {
+            found = found.concat(directories(abspath));
+        }
+    });
+
+    return found;
+}
+
+/**
+ * Watches files and directory trees, calling `onchange` once things settle after a change.
+ * Files are watched through their directory, so that editors replacing them are noticed too.
+ * Targets are listed again after each change, picking up new files and subdirectories.
+ * @param targets - returns `{ files, trees }`, absolute paths of files and directory trees to watch
+ * @param onchange
+ * @param delay - milliseconds to wait for further changes
+ * @returns {function} stops watching
+ */
+function watch(targets, onchange, delay) {
+    let watchers = [];
+    let timer;
+
+    function schedule() {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            onchange();
+            start();
+        }, delay);
+    }
+
+    function stop() {
+        clearTimeout(timer);
+        watchers.forEach(watcher => watcher.close());
+        watchers = [];
+    }
+
+    function start() {
+        const current = targets();
+        const filtered = {};
+
+        stop();
+
+        current.files.forEach(file => {
+            const dir = path.dirname(file);
+            filtered[dir] = filtered[dir] || [];
+            filtered[dir].push(path.basename(file));
+        });
+
+        Object.keys(filtered).forEach(dir => {
+            watchers.push(fs.watch(dir, (event, filename) => {
+                if (!filename || filtered[dir].indexOf(String(filename)) > -1) {
+                    schedule();
+                }
+            }));
+        });
+
+        current.trees.filter(tree => fs.existsSync(tree)).forEach(tree => {
+            directories(tree).forEach(dir => watchers.push(fs.watch(dir, schedule)));
+        });
+    }
+
+    start();
+
+    return stop;
+}
+
+module.exports = watch;
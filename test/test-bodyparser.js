@@ -0,0 +1,215 @@
+'use strict';
+
+var test = require('tape'),
+    swaggerize = require('../lib'),
+    express = require('express'),
+    request = require('supertest');
+
+test('body parsing', function (t) {
+    var app = express(),
+        api = {
+            swagger: '2.0',
+            info: { title: 'bodies', version: '1.0.0' },
+            basePath: '/v1',
+            paths: {
+                '/things': {
+                    'x-body-limit': '1kb',
+                    post: {
+                        consumes: ['application/json', 'application/vnd.thing+json', 'application/x-www-form-urlencoded'],
+                        parameters: [
+                            { name: 'thing', in: 'body', schema: { type: 'object', required: ['name'] } }
+                        ],
+                        responses: {
+                            200: { description: 'the thing' }
+                        }
+                    },
+                    put: {
+                        consumes: ['text/plain'],
+                        'x-body-limit': 16,
+                        parameters: [
+                            { name: 'note', in: 'body', schema: { type: 'string' } }
+                        ],
+                        responses: {
+                            200: { description: 'the note' }
+                        }
+                    }
+                },
+                '/blobs': {
+                    post: {
+                        consumes: ['application/octet-stream'],
+                        responses: {
+                            200: { description: 'the size' }
+                        }
+                    }
+                }
+            }
+        };
+
+    app.use(swaggerize({
+        api: api,
+        handlers: {
+            things: {
+                $post: function (req, res) {
+                    res.json(req.body);
+                },
+                $put: function (req, res) {
+                    res.json({ note: req.body });
+                }
+            },
+            blobs: {
+                $post: function (req, res) {
+                    res.json({ buffer: Buffer.isBuffer(req.body), size: req.body.length });
+                }
+            }
+        }
+    }));
+
+    t.test('json', function (t) {
+        t.plan(2);
+
+        request(app).post('/v1/things').send({ name: 'a' }).end(function (error, response) {
+            t.strictEqual(response.statusCode, 200, '200 status.');
+            t.deepEqual(response.body, { name: 'a' }, 'parsed.');
+        });
+    });
+
+    t.test('+json', function (t) {
+        t.plan(2);
+
+        request(app).post('/v1/things').set('Content-Type', 'application/vnd.thing+json').send('{"name":"b"}').end(function (error, response) {
+            t.strictEqual(response.statusCode, 200, '200 status.');
+            t.deepEqual(response.body, { name: 'b' }, 'parsed.');
+        });
+    });
+
+    t.test('urlencoded', function (t) {
+        t.plan(2);
+
+        request(app).post('/v1/things').type('form').send('name=c').end(function (error, response) {
+            t.strictEqual(response.statusCode, 200, '200 status.');
+            t.deepEqual(response.body, { name: 'c' }, 'parsed.');
+        });
+    });
+
+    t.test('text', function (t) {
+        t.plan(2);
+
+        request(app).put('/v1/things').type('text').send('hello').end(function (error, response) {
+            t.strictEqual(response.statusCode, 200, '200 status.');
+            t.strictEqual(response.body.note, 'hello', 'parsed.');
+        });
+    });
+
+    t.test('raw', function (t) {
+        t.plan(2);
+
+        request(app).post('/v1/blobs').set('Content-Type', 'application/octet-stream').send(Buffer.from('12345')).end(function (error, response) {
+            t.strictEqual(response.statusCode, 200, '200 status.');
+            t.deepEqual(response.body, { buffer: true, size: 5 }, 'parsed.');
+        });
+    });
+
+    t.test('undeclared media type', function (t) {
+        t.plan(1);
+
+        request(app).put('/v1/things').set('Content-Type', 'application/json').send('{}').end(function (error, response) {
+            t.strictEqual(response.statusCode, 415, '415 status.');
+        });
+    });
+
+    t.test('malformed body', function (t) {
+        t.plan(3);
+
+        request(app).post('/v1/things').set('Content-Type', 'application/json').send('{"name":').end(function (error, response) {
+            t.strictEqual(response.statusCode, 400, '400 status.');
+            t.strictEqual(response.body.errors[0].title, 'Malformed Request Body', 'title.');
+            t.deepEqual(response.body.errors[0].source, { in: 'body' }, 'source.');
+        });
+    });
+
+    t.test('operation x-body-limit', function (t) {
+        t.plan(2);
+
+        request(app).put('/v1/things').type('text').send('more than sixteen bytes').end(function (error, response) {
+            t.strictEqual(response.statusCode, 413, '413 status.');
+            t.strictEqual(response.body.errors[0].title, 'Payload Too Large', 'title.');
+        });
+    });
+
+    t.test('path x-body-limit', function (t) {
+        t.plan(1);
+
+        request(app).post('/v1/things').send({ name: new Array(2048).join('a') }).end(function (error, response) {
+            t.strictEqual(response.statusCode, 413, '413 status.');
+        });
+    });
+});
+
+test('body parsing before handler middlewares', function (t) {
+    var app = express();
+
+    app.use(swaggerize({
+        api: {
+            swagger: '2.0',
+            info: { title: 'bodies', version: '1.0.0' },
+            basePath: '/v1',
+            paths: {
+                '/things': {
+                    post: {
+                        consumes: ['application/json'],
+                        responses: {
+                            200: { description: 'the thing' }
+                        }
+                    }
+                }
+            }
+        },
+        handlers: {
+            things: {
+                $post: [
+                    function (req, res, next) {
+                        res.locals.name = req.body && req.body.name;
+                        next();
+                    },
+                    function (req, res) {
+                        res.json({ name: res.locals.name });
+                    }
+                ]
+            }
+        }
+    }));
+
+    t.plan(2);
+
+    request(app).post('/v1/things').send({ name: 'a' }).end(function (error, response) {
+        t.strictEqual(response.statusCode, 200, '200 status.');
+        t.deepEqual(response.body, { name: 'a' }, 'body parsed for the middleware.');
+    });
+});
+
+test('body limit declarations', function (t) {
+    t.plan(1);
+
+    t.throws(function () {
+        swaggerize({
+            api: {
+                swagger: '2.0',
+                info: { title: 'bodies', version: '1.0.0' },
+                paths: {
+                    '/things': {
+                        'x-body-limit': 'lots',
+                        post: {
+                            consumes: ['application/json'],
+                            responses: { 200: { description: 'ok' } }
+                        }
+                    }
+                }
+            },
+            handlers: {
+                things: {
+                    $post: function () {}
+                }
+            }
+        }).emit('mount', express());
+    }, /x-body-limit/, 'invalid limit rejected.');
+});
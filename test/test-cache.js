@@ -0,0 +1,150 @@
+'use strict';
+
+var test = require('tape'),
+    swaggerize = require('../lib'),
+    express = require('express'),
+    bodyParser = require('body-parser'),
+    request = require('supertest');
+
+test('x-cache', function (t) {
+    var app = express(),
+        api = JSON.parse(JSON.stringify(require('./fixtures/defs/pets.json'))),
+        calls = { list: 0, pet: 0 };
+
+    api.paths['/pets'].get['x-cache'] = { maxAge: 60 };
+    api.paths['/pets/{id}'].get['x-cache'] = { maxAge: 30, memory: true };
+    delete api.paths['/pets/{id}'].get.security;
+
+    app.use(bodyParser.json());
+    app.use(swaggerize({
+        api: api,
+        handlers: {
+            pets: {
+                $get: function (req, res) {
+                    calls.list++;
+                    res.json([{ id: 1, name: 'Cat' }]);
+                },
+                $post: function (req, res) {
+                    res.json(req.body);
+                },
+                '{id}': {
+                    $get: function (req, res) {
+                        calls.pet++;
+                        res.json({ id: req.params.id, name: 'Cat ' + calls.pet });
+                    },
+                    $delete: function (req, res) {
+                        res.status(204).end();
+                    }
+                }
+            }
+        }
+    }));
+
+    t.test('ETag and Cache-Control', function (t) {
+        t.plan(4);
+
+        request(app).get('/v1/petstore/pets').end(function (error, response) {
+            var etag = response.headers.etag;
+
+            t.ok(/^"[^"]+"$/.test(etag), 'strong ETag.');
+            t.strictEqual(response.headers['cache-control'], 'public, max-age=60', 'Cache-Control.');
+
+            request(app).get('/v1/petstore/pets').set('If-None-Match', etag).end(function (error, response) {
+                t.strictEqual(response.statusCode, 304, '304 for a matching ETag.');
+                t.strictEqual(calls.list, 2, 'handler still runs without memory.');
+            });
+        });
+    });
+
+    t.test('responses cached in memory', function (t) {
+        t.plan(6);
+
+        request(app).get('/v1/petstore/pets/1').end(function (error, response) {
+            t.strictEqual(response.headers['cache-control'], 'public, max-age=30', 'Cache-Control.');
+            t.ok(response.headers['last-modified'], 'Last-Modified.');
+
+            request(app).get('/v1/petstore/pets/1').end(function (error, response) {
+                t.strictEqual(calls.pet, 1, 'served from memory.');
+                t.strictEqual(response.body.name, 'Cat 1', 'same body.');
+                t.strictEqual(response.headers.age, '0', 'Age.');
+
+                request(app).get('/v1/petstore/pets/2').end(function (error, response) {
+                    t.strictEqual(calls.pet, 2, 'keyed by parameters.');
+                });
+            });
+        });
+    });
+
+    t.test('If-Modified-Since', function (t) {
+        t.plan(1);
+
+        request(app).get('/v1/petstore/pets/1').end(function (error, response) {
+            request(app).get('/v1/petstore/pets/1').set('If-Modified-Since', response.headers['last-modified']).end(function (error, response) {
+                t.strictEqual(response.statusCode, 304, '304 when not modified since.');
+            });
+        });
+    });
+
+    t.test('invalidated by a successful write', function (t) {
+        t.plan(3);
+
+        request(app).delete('/v1/petstore/pets/1').end(function (error, response) {
+            t.strictEqual(response.statusCode, 204, 'deleted.');
+
+            request(app).get('/v1/petstore/pets/1').end(function (error, response) {
+                t.strictEqual(calls.pet, 3, 'handler runs again.');
+
+                request(app).post('/v1/petstore/pets').send({ id: 2, name: 'Dog' }).end(function () {
+                    request(app).get('/v1/petstore/pets/2').end(function () {
+                        t.strictEqual(calls.pet, 4, 'writes to a parent path invalidate too.');
+                    });
+                });
+            });
+        });
+    });
+
+    t.test('errors are not cached', function (t) {
+        t.plan(2);
+
+        request(app).get('/v1/petstore/pets/abc').end(function (error, response) {
+            t.strictEqual(response.statusCode, 400, '400 status.');
+            t.ok(!response.headers['cache-control'], 'no Cache-Control.');
+        });
+    });
+});
+
+test('x-cache declarations', function (t) {
+    t.plan(3);
+
+    function mount(cache, secured) {
+        var api = JSON.parse(JSON.stringify(require('./fixtures/defs/pets.json')));
+
+        api.paths['/pets/{id}'].get['x-cache'] = cache;
+        if (!secured) {
+            delete api.paths['/pets/{id}'].get.security;
+        }
+
+        swaggerize({
+            api: api,
+            handlers: {
+                pets: {
+                    '{id}': {
+                        $get: function () {}
+                    }
+                }
+            }
+        }).emit('mount', express());
+    }
+
+    t.throws(function () {
+        mount({ maxAge: 30, private: true, memory: true });
+    }, /not to be private/, 'private responses not kept in memory.');
+
+    t.throws(function () {
+        mount({ maxAge: 30, memory: true }, true);
+    }, /security requirements/, 'responses of secured operations not kept in memory.');
+
+    t.doesNotThrow(function () {
+        mount({ maxAge: 30, private: true }, true);
+    }, 'secured operations get caching headers.');
+});
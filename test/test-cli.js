@@ -0,0 +1,156 @@
+'use strict';
+
+var test = require('tape'),
+    run = require('../lib/cli'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path');
+
+function output() {
+    var out = { stdout: '', stderr: '' };
+
+    return {
+        text: out,
+        stdout: { write: function (chunk) { out.stdout += chunk; } },
+        stderr: { write: function (chunk) { out.stderr += chunk; } },
+        cwd: path.join(__dirname, 'fixtures')
+    };
+}
+
+test('cli', function (t) {
+
+    t.test('usage', function (t) {
+        t.plan(2);
+
+        var out = output();
+
+        t.strictEqual(run(['unknown'], out), 2, 'exit code.');
+        t.ok(/^Usage:/.test(out.text.stderr), 'usage printed.');
+    });
+
+    t.test('lint', function (t) {
+        t.plan(2);
+
+        var out = output();
+
+        t.strictEqual(run(['lint', 'defs/pets.json', '--basedir', '.'], out), 0, 'exit code.');
+        t.ok(/is valid: 5 operations/.test(out.text.stdout), 'reported.');
+    });
+
+    t.test('lint failure', function (t) {
+        t.plan(2);
+
+        var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'swaggerize-cli-')),
+            out = output();
+
+        fs.writeFileSync(path.join(dir, 'api.json'), JSON.stringify({
+            swagger: '2.0',
+            info: { title: 'broken', version: '1.0.0' },
+            paths: {
+                '/things': {
+                    get: {
+                        'x-rate-limit': { limit: 0, window: 60 },
+                        responses: { 200: { description: 'ok' } }
+                    }
+                }
+            }
+        }));
+
+        t.strictEqual(run(['lint', path.join(dir, 'api.json')], out), 1, 'exit code.');
+        t.ok(/x-rate-limit/.test(out.text.stderr), 'error reported.');
+        fs.rmSync(dir, { recursive: true });
+    });
+
+    t.test('routes', function (t) {
+        t.plan(4);
+
+        var out = output(),
+            lines;
+
+        t.strictEqual(run(['routes', 'defs/pets.json', '--basedir', '.'], out), 0, 'exit code.');
+
+        lines = out.text.stdout.trim().split('\n');
+        t.ok(/^METHOD\s+PATH\s+CONSUMES\s+PRODUCES\s+SECURITY$/.test(lines[0]), 'headings.');
+        t.ok(lines.some(function (line) {
+            return /^GET\s+\/v1\/petstore\/pets\/:id\s+application\/json\s+application\/json\s+githubAccessCode\(user\)$/.test(line);
+        }), 'express path and security.');
+        t.strictEqual(lines.length, 6, 'a row per operation.');
+    });
+
+    t.test('scaffold and orphans', function (t) {
+        t.plan(9);
+
+        var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'swaggerize-cli-')),
+            handlers = path.join(dir, 'handlers'),
+            out = output(),
+            created;
+
+        fs.writeFileSync(path.join(dir, 'api.json'), JSON.stringify({
+            swagger: '2.0',
+            info: { title: 'users', version: '1.0.0' },
+            paths: {
+                '/users': {
+                    get: { operationId: 'listUsers', summary: 'Lists users', responses: { 200: { description: 'ok' } } }
+                },
+                '/users/{id}': {
+                    get: { operationId: 'getUser', responses: { 200: { description: 'ok' } } },
+                    delete: { operationId: 'deleteUser', responses: { 204: { description: 'gone' } } }
+                }
+            }
+        }));
+
+        t.strictEqual(run(['scaffold', path.join(dir, 'api.json'), '--handlers', handlers], out), 0, 'exit code.');
+        t.ok(fs.existsSync(path.join(handlers, 'users.js')), 'users.js created.');
+        t.ok(fs.existsSync(path.join(handlers, 'users', '{id}.js')), 'users/{id}.js created.');
+
+        created = require(path.join(handlers, 'users', '{id}.js'));
+        t.deepEqual(Object.keys(created), ['get', 'delete'], 'a handler per operation.');
+        t.strictEqual(created.get.name, 'getUser', 'named after the operation.');
+
+        out = output();
+        t.strictEqual(run(['orphans', path.join(dir, 'api.json'), '--handlers', handlers], out), 0, 'no orphans yet.');
+
+        fs.writeFileSync(path.join(handlers, 'users.js'), 'module.exports = { get: function () {}, put: function () {} };');
+        fs.writeFileSync(path.join(handlers, 'groups.js'), 'module.exports = { get: function () {} };');
+
+        out = output();
+        t.strictEqual(run(['orphans', path.join(dir, 'api.json'), '--handlers', handlers], out), 1, 'exit code.');
+        t.ok(/groups\.js: no path \/groups/.test(out.text.stdout), 'orphan file.');
+        t.ok(/users\.js: no operation PUT \/users/.test(out.text.stdout), 'orphan verb.');
+
+        fs.rmSync(dir, { recursive: true });
+    });
+
+    t.test('scaffold handler names', function (t) {
+        t.plan(4);
+
+        var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'swaggerize-cli-')),
+            handlers = path.join(dir, 'handlers'),
+            created;
+
+        fs.writeFileSync(path.join(dir, 'api.json'), JSON.stringify({
+            swagger: '2.0',
+            info: { title: 'things', version: '1.0.0' },
+            paths: {
+                '/things': {
+                    get: { responses: { 200: { description: 'ok' } } },
+                    post: { operationId: 'new', responses: { 201: { description: 'created' } } },
+                    delete: { operationId: 'default', responses: { 204: { description: 'gone' } } },
+                    put: { operationId: 'replace-things', responses: { 200: { description: 'ok' } } }
+                }
+            }
+        }));
+
+        run(['scaffold', path.join(dir, 'api.json'), '--handlers', handlers], output());
+        created = fs.readFileSync(path.join(handlers, 'things.js'), 'utf8');
+
+        t.ok(/get: function get\(req, res\)/.test(created), 'named after the method without an operationId.');
+        t.ok(/post: function post\(req, res\)/.test(created), 'named after the method for a reserved operationId.');
+        t.ok(/delete: function \(req, res\)/.test(created), 'anonymous when the method is reserved too.');
+        t.doesNotThrow(function () {
+            require(path.join(handlers, 'things.js'));
+        }, 'valid source.');
+
+        fs.rmSync(dir, { recursive: true });
+    });
+});
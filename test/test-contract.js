@@ -0,0 +1,212 @@
+'use strict';
+
+var test = require('tape'),
+    contract = require('../test'),
+    swaggerize = require('../lib'),
+    express = require('express');
+
+function api() {
+    return {
+        swagger: '2.0',
+        info: { title: 'contract', version: '1.0.0' },
+        basePath: '/v1',
+        produces: ['application/json'],
+        consumes: ['application/json'],
+        definitions: {
+            Item: {
+                type: 'object',
+                required: ['id', 'name'],
+                properties: {
+                    id: { type: 'integer' },
+                    name: { type: 'string' }
+                }
+            }
+        },
+        paths: {
+            '/items': {
+                get: {
+                    operationId: 'listItems',
+                    parameters: [
+                        { name: 'tags', in: 'query', required: true, type: 'array', collectionFormat: 'pipes', items: { type: 'string' }, 'x-example': ['a', 'b'] }
+                    ],
+                    responses: {
+                        200: { description: 'items', schema: { type: 'array', items: { $ref: '#/definitions/Item' } } }
+                    }
+                },
+                post: {
+                    operationId: 'addItem',
+                    parameters: [
+                        { name: 'item', in: 'body', required: true, schema: { $ref: '#/definitions/Item' } }
+                    ],
+                    responses: {
+                        201: { description: 'added', schema: { $ref: '#/definitions/Item' } }
+                    }
+                }
+            },
+            '/items/{id}': {
+                get: {
+                    operationId: 'getItem',
+                    parameters: [
+                        { name: 'id', in: 'path', required: true, type: 'integer', 'x-example': 7 }
+                    ],
+                    responses: {
+                        200: { description: 'item', schema: { $ref: '#/definitions/Item' } }
+                    }
+                }
+            }
+        }
+    };
+}
+
+function serve(handlers) {
+    var app = express();
+
+    app.use(swaggerize({ api: api(), handlers: handlers }));
+
+    return app;
+}
+
+test('contract', function (t) {
+
+    t.test('a case per operation', function (t) {
+        var app = serve({
+                items: {
+                    $get: function (req, res) {
+                        res.json(req.query.tags.map(function (tag, index) {
+                            return { id: index, name: tag };
+                        }));
+                    },
+                    $post: function (req, res) {
+                        res.status(201).json(req.body);
+                    },
+                    '{id}': {
+                        $get: function (req, res) {
+                            res.json({ id: req.params.id, name: 'seven' });
+                        }
+                    }
+                }
+            }),
+            cases = contract(app);
+
+        t.deepEqual(cases.map(function (testCase) {
+            return testCase.name;
+        }), ['GET /items (listItems)', 'POST /items (addItem)', 'GET /items/{id} (getItem)'], 'named.');
+        t.strictEqual(cases[0].request.path, '/v1/items?tags=a%7Cb', 'query from the example.');
+        t.strictEqual(cases[2].request.path, '/v1/items/7', 'path from the example.');
+        t.deepEqual(JSON.parse(cases[1].request.body), { id: 0, name: 'string' }, 'body synthesized from the schema.');
+
+        cases.forEach(function (testCase) {
+            t.test(testCase.name, function (t) {
+                testCase.run(function (error) {
+                    t.error(error, 'contract kept.');
+                    t.end();
+                });
+            });
+        });
+
+        t.end();
+    });
+
+    t.test('violations', function (t) {
+        t.plan(6);
+
+        var cases = contract(serve({
+            items: {
+                $get: function (req, res) {
+                    res.json([{ id: 'one' }]);
+                },
+                $post: function (req, res) {
+                    res.status(202).json(req.body);
+                },
+                '{id}': {
+                    $get: function (req, res) {
+                        res.type('text/plain').send('seven');
+                    }
+                }
+            }
+        }));
+
+        cases[0].run(function (error) {
+            t.ok(error, 'schema violated.');
+            t.ok(error.violations.some(function (violation) {
+                return /"name" is required/.test(violation);
+            }), 'schema violation listed.');
+        });
+        cases[1].run(function (error) {
+            t.ok(error, 'status violated.');
+            t.ok(/Undeclared status code 202/.test(error.violations[0]), 'status violation listed.');
+        });
+        cases[2].run(function (error) {
+            t.ok(error, 'media type violated.');
+            t.ok(/Content-Type 'text\/plain; charset=utf-8' is not one of 'application\/json'/.test(error.violations[0]), 'media type violation listed.');
+        });
+    });
+
+    t.test('options', function (t) {
+        t.plan(5);
+
+        var app = serve({
+                items: {
+                    $get: function (req, res) {
+                        res.json([]);
+                    },
+                    $post: function (req, res) {
+                        res.status(201).json(req.body);
+                    },
+                    '{id}': {
+                        $get: function (req, res) {
+                            res.json({ id: req.params.id, name: req.header('x-api-key') });
+                        }
+                    }
+                }
+            }),
+            cases = contract(app, {
+                headers: { 'x-api-key': 'secret', accept: '*/*' },
+                params: {
+                    getItem: { path: { id: 42 } },
+                    addItem: { body: { id: 1, name: 'given' } }
+                },
+                skip: ['listItems']
+            });
+
+        t.strictEqual(cases.length, 2, 'skipped.');
+        t.deepEqual(JSON.parse(cases[0].request.body), { id: 1, name: 'given' }, 'body given.');
+        t.strictEqual(cases[1].request.path, '/v1/items/42', 'path parameter given.');
+        t.strictEqual(cases[1].request.headers['x-api-key'], 'secret', 'headers sent.');
+        t.strictEqual(cases[1].request.headers.accept, '*/*', 'headers given override those built.');
+    });
+
+    t.test('falsy examples', function (t) {
+        t.plan(1);
+
+        var cases = contract(express(), {
+            api: {
+                swagger: '2.0',
+                info: { title: 'contract', version: '1.0.0' },
+                paths: {
+                    '/items': {
+                        get: {
+                            parameters: [
+                                { name: 'offset', in: 'query', type: 'integer', example: 0 },
+                                { name: 'expand', in: 'query', type: 'boolean', example: false },
+                                { name: 'filter', in: 'query', type: 'string', 'x-example': '' },
+                                { name: 'sort', in: 'query', type: 'string' }
+                            ],
+                            responses: { 200: { description: 'items' } }
+                        }
+                    }
+                }
+            }
+        });
+
+        t.strictEqual(cases[0].request.path, '/items?offset=0&expand=false&filter=', 'optional parameters with an example sent.');
+    });
+
+    t.test('api required', function (t) {
+        t.plan(1);
+
+        t.throws(function () {
+            contract(express());
+        }, /Expected an api/, 'thrown.');
+    });
+});
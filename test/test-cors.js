@@ -0,0 +1,249 @@
+'use strict';
+
+var test = require('tape'),
+    swaggerize = require('../lib'),
+    express = require('express'),
+    request = require('supertest');
+
+test('cors', function (t) {
+    var app = express(),
+        api = {
+            swagger: '2.0',
+            info: { title: 'cors', version: '1.0.0' },
+            basePath: '/v1',
+            'x-cors': { origins: ['https://app.example.com'], maxAge: 600 },
+            securityDefinitions: {
+                key: { type: 'apiKey', name: 'X-Api-Key', in: 'header' }
+            },
+            paths: {
+                '/pets': {
+                    'x-cors': { credentials: true, exposedHeaders: ['X-Total'] },
+                    parameters: [
+                        { name: 'X-Request-Id', in: 'header', type: 'string' }
+                    ],
+                    get: {
+                        parameters: [
+                            { name: 'X-Page', in: 'header', type: 'integer' }
+                        ],
+                        responses: {
+                            200: { description: 'pets' }
+                        }
+                    },
+                    post: {
+                        consumes: ['application/json'],
+                        security: [{ key: [] }],
+                        parameters: [
+                            { name: 'pet', in: 'body', schema: { type: 'object' } }
+                        ],
+                        responses: {
+                            201: { description: 'created' }
+                        }
+                    },
+                    delete: {
+                        'x-cors': false,
+                        responses: {
+                            204: { description: 'deleted' }
+                        }
+                    }
+                },
+                '/public': {
+                    get: {
+                        'x-cors': { origins: '*' },
+                        responses: {
+                            200: { description: 'public' }
+                        }
+                    }
+                }
+            }
+        };
+
+    app.use(swaggerize({
+        api: api,
+        handlers: {
+            pets: {
+                $get: function (req, res) {
+                    res.set('X-Total', '0').json([]);
+                },
+                $post: function (req, res) {
+                    res.status(201).json(req.body);
+                },
+                $delete: function (req, res) {
+                    res.sendStatus(204);
+                }
+            },
+            public: {
+                $get: function (req, res) {
+                    res.json({ ok: true });
+                }
+            }
+        },
+        verify: function (credentials, req, callback) {
+            callback(null, { key: credentials.key });
+        }
+    }));
+
+    t.test('preflight', function (t) {
+        t.plan(7);
+
+        request(app).options('/v1/pets')
+            .set('Origin', 'https://app.example.com')
+            .set('Access-Control-Request-Method', 'POST')
+            .set('Access-Control-Request-Headers', 'content-type, x-api-key')
+            .end(function (error, response) {
+                t.strictEqual(response.statusCode, 204, '204 status.');
+                t.strictEqual(response.headers['access-control-allow-origin'], 'https://app.example.com', 'origin.');
+                t.strictEqual(response.headers['access-control-allow-credentials'], 'true', 'credentials.');
+                t.strictEqual(response.headers['access-control-allow-methods'], 'GET, POST', 'methods of the spec.');
+                t.strictEqual(response.headers['access-control-allow-headers'], 'X-Request-Id, X-Page, Content-Type, X-Api-Key', 'headers of the spec.');
+                t.strictEqual(response.headers['access-control-max-age'], '600', 'max age.');
+                t.strictEqual(response.headers.vary, 'Origin', 'vary.');
+            });
+    });
+
+    t.test('preflight from another origin', function (t) {
+        t.plan(2);
+
+        request(app).options('/v1/pets')
+            .set('Origin', 'https://evil.example.com')
+            .set('Access-Control-Request-Method', 'GET')
+            .end(function (error, response) {
+                t.strictEqual(response.statusCode, 204, '204 status.');
+                t.ok(!response.headers['access-control-allow-origin'], 'no origin.');
+            });
+    });
+
+    t.test('preflight for a method without cors', function (t) {
+        t.plan(1);
+
+        request(app).options('/v1/pets')
+            .set('Origin', 'https://app.example.com')
+            .set('Access-Control-Request-Method', 'DELETE')
+            .end(function (error, response) {
+                t.ok(!response.headers['access-control-allow-origin'], 'no origin.');
+            });
+    });
+
+    t.test('request', function (t) {
+        t.plan(4);
+
+        request(app).get('/v1/pets')
+            .set('Origin', 'https://app.example.com')
+            .end(function (error, response) {
+                t.strictEqual(response.statusCode, 200, '200 status.');
+                t.strictEqual(response.headers['access-control-allow-origin'], 'https://app.example.com', 'origin.');
+                t.strictEqual(response.headers['access-control-allow-credentials'], 'true', 'credentials.');
+                t.strictEqual(response.headers['access-control-expose-headers'], 'X-Total', 'exposed headers.');
+            });
+    });
+
+    t.test('request without cors', function (t) {
+        t.plan(2);
+
+        request(app).delete('/v1/pets')
+            .set('Origin', 'https://app.example.com')
+            .end(function (error, response) {
+                t.strictEqual(response.statusCode, 204, '204 status.');
+                t.ok(!response.headers['access-control-allow-origin'], 'no origin.');
+            });
+    });
+
+    t.test('any origin', function (t) {
+        t.plan(2);
+
+        request(app).get('/v1/public')
+            .set('Origin', 'https://anywhere.example.com')
+            .end(function (error, response) {
+                t.strictEqual(response.headers['access-control-allow-origin'], '*', 'any origin.');
+                t.ok(!response.headers.vary, 'no vary.');
+            });
+    });
+
+    t.test('same origin', function (t) {
+        t.plan(2);
+
+        request(app).get('/v1/public').end(function (error, response) {
+            t.strictEqual(response.statusCode, 200, '200 status.');
+            t.ok(!response.headers['access-control-allow-origin'], 'no cors headers.');
+        });
+    });
+});
+
+test('cors with OpenAPI 3.0', function (t) {
+    var app = express();
+
+    app.use(swaggerize({
+        api: {
+            openapi: '3.0.0',
+            info: { title: 'cors', version: '1.0.0' },
+            servers: [{ url: '/v3' }],
+            'x-cors': true,
+            components: {
+                requestBodies: {
+                    Pet: {
+                        required: true,
+                        content: {
+                            'application/json': { schema: { type: 'object' } }
+                        }
+                    }
+                }
+            },
+            paths: {
+                '/pets': {
+                    post: {
+                        requestBody: { $ref: '#/components/requestBodies/Pet' },
+                        responses: {
+                            201: { description: 'created' }
+                        }
+                    }
+                }
+            }
+        },
+        handlers: {
+            pets: {
+                $post: function (req, res) {
+                    res.status(201).json(req.body);
+                }
+            }
+        }
+    }));
+
+    t.test('preflight for a requestBody', function (t) {
+        t.plan(3);
+
+        request(app).options('/v3/pets')
+            .set('Origin', 'https://app.example.com')
+            .set('Access-Control-Request-Method', 'POST')
+            .set('Access-Control-Request-Headers', 'content-type')
+            .end(function (error, response) {
+                t.strictEqual(response.statusCode, 204, '204 status.');
+                t.strictEqual(response.headers['access-control-allow-methods'], 'POST', 'methods.');
+                t.strictEqual(response.headers['access-control-allow-headers'], 'Content-Type', 'Content-Type allowed.');
+            });
+    });
+});
+
+test('cors declarations', function (t) {
+    t.plan(1);
+
+    t.throws(function () {
+        swaggerize({
+            api: {
+                swagger: '2.0',
+                info: { title: 'cors', version: '1.0.0' },
+                paths: {
+                    '/things': {
+                        get: {
+                            'x-cors': { origins: 'https://app.example.com' },
+                            responses: { 200: { description: 'ok' } }
+                        }
+                    }
+                }
+            },
+            handlers: {
+                things: {
+                    $get: function () {}
+                }
+            }
+        }).emit('mount', express());
+    }, /x-cors origins/, 'invalid origins rejected.');
+});
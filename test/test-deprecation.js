@@ -0,0 +1,178 @@
+'use strict';
+
+var test = require('tape'),
+    swaggerize = require('../lib'),
+    express = require('express'),
+    request = require('supertest');
+
+function makeApi() {
+    return {
+        swagger: '2.0',
+        info: { title: 'deprecations', version: '1.0.0' },
+        basePath: '/v1',
+        paths: {
+            '/old': {
+                get: {
+                    operationId: 'getOld',
+                    deprecated: true,
+                    'x-sunset': '2099-01-01T00:00:00Z',
+                    'x-successor': '/v2/new',
+                    responses: {
+                        200: { description: 'old' }
+                    }
+                }
+            },
+            '/plain': {
+                get: {
+                    operationId: 'getPlain',
+                    deprecated: true,
+                    responses: {
+                        200: { description: 'plain' }
+                    }
+                }
+            },
+            '/retired': {
+                get: {
+                    operationId: 'getRetired',
+                    deprecated: true,
+                    'x-sunset': 'Sat, 01 Jan 2000 00:00:00 GMT',
+                    responses: {
+                        200: { description: 'retired' }
+                    }
+                }
+            },
+            '/current': {
+                get: {
+                    operationId: 'getCurrent',
+                    responses: {
+                        200: { description: 'current' }
+                    }
+                }
+            }
+        }
+    };
+}
+
+function makeHandlers() {
+    var ok = function (req, res) {
+        res.json({ ok: true });
+    };
+
+    return {
+        old: { $get: ok },
+        plain: { $get: ok },
+        retired: { $get: ok },
+        current: { $get: ok }
+    };
+}
+
+test('deprecated operations', function (t) {
+    var app = express(),
+        logged = [],
+        usages = [],
+        swagger = swaggerize({
+            api: makeApi(),
+            handlers: makeHandlers(),
+            log: function (message) {
+                logged.push(message);
+            }
+        });
+
+    swagger.on('deprecated', function (usage) {
+        usages.push(usage);
+    });
+
+    app.use(swagger);
+
+    t.test('headers', function (t) {
+        t.plan(4);
+
+        request(app).get('/v1/old').end(function (error, response) {
+            t.strictEqual(response.statusCode, 200, '200 status.');
+            t.strictEqual(response.headers.deprecation, 'true', 'Deprecation header.');
+            t.strictEqual(response.headers.sunset, 'Thu, 01 Jan 2099 00:00:00 GMT', 'Sunset header.');
+            t.strictEqual(response.headers.link, '</v2/new>; rel="successor-version"', 'Link header.');
+        });
+    });
+
+    t.test('usage', function (t) {
+        t.plan(5);
+
+        t.strictEqual(usages.length, 1, 'usage event.');
+        t.strictEqual(usages[0].operationId, 'getOld', 'operationId.');
+        t.strictEqual(usages[0].status, 200, 'status.');
+        t.ok(usages[0].caller.ip, 'caller.');
+        t.ok(/getOld/.test(logged[0]), 'logged.');
+    });
+
+    t.test('without sunset', function (t) {
+        t.plan(3);
+
+        request(app).get('/v1/plain').end(function (error, response) {
+            t.strictEqual(response.headers.deprecation, 'true', 'Deprecation header.');
+            t.ok(!response.headers.sunset, 'no Sunset header.');
+            t.ok(!response.headers.link, 'no Link header.');
+        });
+    });
+
+    t.test('past sunset', function (t) {
+        t.plan(1);
+
+        request(app).get('/v1/retired').end(function (error, response) {
+            t.strictEqual(response.statusCode, 200, 'still served.');
+        });
+    });
+
+    t.test('not deprecated', function (t) {
+        t.plan(2);
+
+        request(app).get('/v1/current').end(function (error, response) {
+            t.ok(!response.headers.deprecation, 'no Deprecation header.');
+            t.strictEqual(usages.length, 3, 'no usage event.');
+        });
+    });
+});
+
+test('sunsetGone', function (t) {
+    var app = express();
+
+    app.use(swaggerize({
+        api: makeApi(),
+        handlers: makeHandlers(),
+        sunsetGone: true
+    }));
+
+    t.test('past sunset', function (t) {
+        t.plan(4);
+
+        request(app).get('/v1/retired').end(function (error, response) {
+            t.strictEqual(response.statusCode, 410, '410 status.');
+            t.strictEqual(response.body.errors[0].title, 'Gone', 'title.');
+            t.strictEqual(response.headers.deprecation, 'true', 'Deprecation header.');
+            t.strictEqual(response.headers.sunset, 'Sat, 01 Jan 2000 00:00:00 GMT', 'Sunset header.');
+        });
+    });
+
+    t.test('before sunset', function (t) {
+        t.plan(1);
+
+        request(app).get('/v1/old').end(function (error, response) {
+            t.strictEqual(response.statusCode, 200, '200 status.');
+        });
+    });
+});
+
+test('deprecation declarations', function (t) {
+    t.plan(1);
+
+    var api = makeApi();
+
+    api.paths['/old'].get['x-sunset'] = 'someday';
+
+    t.throws(function () {
+        swaggerize({
+            api: api,
+            handlers: makeHandlers()
+        }).emit('mount', express());
+    }, /x-sunset/, 'invalid sunset rejected.');
+});
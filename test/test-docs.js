@@ -0,0 +1,186 @@
+'use strict';
+
+var test = require('tape'),
+    swaggerize = require('../lib'),
+    express = require('express'),
+    request = require('supertest'),
+    yaml = require('js-yaml');
+
+function makeApi() {
+    var api = JSON.parse(JSON.stringify(require('./fixtures/defs/pets.json')));
+
+    api.tags = [{ name: 'pets' }, { name: 'admin' }];
+    api.paths['/pets'].get.tags = ['pets'];
+    api.paths['/pets'].post.tags = ['admin'];
+    api.paths['/pets/{id}'].delete['x-internal'] = true;
+    api.paths['/upload']['x-internal'] = true;
+    api.paths['/pets']['x-handler'] = 'handlers/pets.js';
+
+    return api;
+}
+
+function makeApp(options) {
+    var app = express();
+
+    app.use(swaggerize(Object.assign({
+        api: makeApi(),
+        handlers: {
+            pets: {
+                $get: function (req, res) {
+                    res.json([]);
+                }
+            }
+        }
+    }, options)));
+
+    return app;
+}
+
+test('docs', function (t) {
+    var app = makeApp();
+
+    t.test('json by default', function (t) {
+        t.plan(2);
+
+        request(app).get('/v1/petstore/api-docs').end(function (error, response) {
+            t.ok(/application\/json/.test(response.headers['content-type']), 'json content type.');
+            t.strictEqual(response.body.swagger, '2.0', 'document.');
+        });
+    });
+
+    t.test('yaml', function (t) {
+        t.plan(4);
+
+        request(app).get('/v1/petstore/api-docs?format=yaml').end(function (error, response) {
+            t.ok(/application\/yaml/.test(response.headers['content-type']), 'yaml from format.');
+            t.strictEqual(yaml.safeLoad(response.text).swagger, '2.0', 'yaml document.');
+
+            request(app).get('/v1/petstore/api-docs').set('Accept', 'text/yaml').end(function (error, response) {
+                t.ok(/text\/yaml/.test(response.headers['content-type']), 'yaml from Accept.');
+                t.strictEqual(yaml.safeLoad(response.text).swagger, '2.0', 'yaml document.');
+            });
+        });
+    });
+
+    t.test('host and schemes from the request', function (t) {
+        t.plan(2);
+
+        request(app).get('/v1/petstore/api-docs').set('Host', 'api.example.com:8000').end(function (error, response) {
+            t.strictEqual(response.body.host, 'api.example.com:8000', 'host.');
+            t.deepEqual(response.body.schemes, ['http'], 'schemes.');
+        });
+    });
+
+    t.test('forwarded host ignored without trust proxy', function (t) {
+        t.plan(1);
+
+        request(app).get('/v1/petstore/api-docs').set('Host', 'internal:8000').set('X-Forwarded-Host', 'api.example.com').end(function (error, response) {
+            t.strictEqual(response.body.host, 'internal:8000', 'host header.');
+        });
+    });
+
+    t.test('internal operations and extensions left out', function (t) {
+        t.plan(4);
+
+        request(app).get('/v1/petstore/api-docs').end(function (error, response) {
+            t.ok(!response.body.paths['/pets/{id}'].delete, 'x-internal operation.');
+            t.ok(response.body.paths['/pets/{id}'].get, 'other operations kept.');
+            t.ok(!response.body.paths['/upload'], 'x-internal path.');
+            t.ok(!response.body.paths['/pets']['x-handler'], 'x-handler.');
+        });
+    });
+
+    t.test('filtered by tag', function (t) {
+        t.plan(4);
+
+        request(app).get('/v1/petstore/api-docs?tag=pets').end(function (error, response) {
+            t.ok(response.body.paths['/pets'].get, 'tagged operation.');
+            t.ok(!response.body.paths['/pets'].post, 'other tags left out.');
+            t.ok(!response.body.paths['/pets/{id}'], 'untagged paths left out.');
+            t.deepEqual(response.body.tags, [{ name: 'pets' }], 'tags list filtered.');
+        });
+    });
+
+    t.test('conditional requests', function (t) {
+        t.plan(5);
+
+        request(app).get('/v1/petstore/api-docs').set('Host', 'api.example.com').end(function (error, response) {
+            var etag = response.headers.etag,
+                modified = response.headers['last-modified'];
+
+            t.ok(etag, 'ETag.');
+            t.ok(modified, 'Last-Modified.');
+
+            request(app).get('/v1/petstore/api-docs').set('Host', 'api.example.com').set('If-None-Match', etag).end(function (error, response) {
+                t.strictEqual(response.statusCode, 304, '304 for a matching ETag.');
+
+                request(app).get('/v1/petstore/api-docs').set('Host', 'api.example.com').set('If-Modified-Since', modified).end(function (error, response) {
+                    t.strictEqual(response.statusCode, 304, '304 when not modified since.');
+
+                    request(app).get('/v1/petstore/api-docs?format=yaml').set('Host', 'api.example.com').set('If-None-Match', etag).end(function (error, response) {
+                        t.strictEqual(response.statusCode, 200, '200 for another representation.');
+                    });
+                });
+            });
+        });
+    });
+});
+
+test('docs options', function (t) {
+
+    t.test('trust proxy', function (t) {
+        t.plan(2);
+
+        var app = makeApp({ express: { 'trust proxy': true } });
+
+        request(app).get('/v1/petstore/api-docs')
+            .set('X-Forwarded-Host', 'api.example.com')
+            .set('X-Forwarded-Proto', 'https')
+            .end(function (error, response) {
+                t.strictEqual(response.body.host, 'api.example.com', 'forwarded host.');
+                t.deepEqual(response.body.schemes, ['https'], 'forwarded scheme.');
+            });
+    });
+
+    t.test('trust proxy of the parent', function (t) {
+        t.plan(2);
+
+        var app = makeApp({});
+
+        app.set('trust proxy', true);
+
+        request(app).get('/v1/petstore/api-docs')
+            .set('X-Forwarded-Host', 'api.example.com')
+            .set('X-Forwarded-Proto', 'https')
+            .end(function (error, response) {
+                t.strictEqual(response.body.host, 'api.example.com', 'forwarded host.');
+                t.deepEqual(response.body.schemes, ['https'], 'forwarded scheme.');
+            });
+    });
+
+    t.test('docsExtensions', function (t) {
+        t.plan(2);
+
+        var app = makeApp({ docsExtensions: ['x-internal'] });
+
+        request(app).get('/v1/petstore/api-docs').end(function (error, response) {
+            t.strictEqual(response.body.paths['/pets']['x-handler'], 'handlers/pets.js', 'extension kept.');
+            t.ok(!response.body.paths['/pets/{id}'].delete, 'x-internal operation still left out.');
+        });
+    });
+
+    t.test('openapi 3.0 servers', function (t) {
+        t.plan(1);
+
+        var app = express();
+
+        app.use(swaggerize({
+            api: require('path').join(__dirname, 'fixtures/defs/pets-openapi3.yaml'),
+            handlers: {}
+        }));
+
+        request(app).get('/v3/petstore/api-docs').set('Host', 'api.example.com').end(function (error, response) {
+            t.deepEqual(response.body.servers, [{ url: 'http://api.example.com/v3/petstore' }], 'servers.');
+        });
+    });
+});
@@ -0,0 +1,171 @@
+'use strict';
+
+var test = require('tape'),
+    swaggerize = require('../lib'),
+    express = require('express'),
+    bodyParser = require('body-parser'),
+    request = require('supertest'),
+    path = require('path');
+
+function makeApp(options) {
+    var app = express();
+
+    options.api = JSON.parse(JSON.stringify(require('./fixtures/defs/pets.json')));
+    options.handlers = path.join(__dirname, 'fixtures/handlers');
+
+    app.use(bodyParser.json());
+    app.use(swaggerize(options));
+    app.use(function (err, req, res, next) {
+        res.status(599).send('not handled by swaggerize');
+    });
+
+    return app;
+}
+
+test('error formatting', function (t) {
+    var app = makeApp({ errorname: 'PetstoreError' });
+
+    t.test('405', function (t) {
+        t.plan(4);
+
+        request(app).put('/v1/petstore/pets').end(function (error, response) {
+            t.strictEqual(response.statusCode, 405, '405 status.');
+            t.strictEqual(response.headers.allow, 'GET, HEAD, POST, OPTIONS', 'Allow header.');
+            t.strictEqual(response.body.errors[0].title, 'Method Not Allowed', 'title.');
+            t.strictEqual(response.body.errors[0].name, 'PetstoreError', 'errorname applied.');
+        });
+    });
+
+    t.test('406', function (t) {
+        t.plan(2);
+
+        request(app).get('/v1/petstore/pets').set('Accept', 'text/html').end(function (error, response) {
+            t.strictEqual(response.statusCode, 406, '406 status.');
+            t.strictEqual(response.body.errors[0].status, 406, 'formatted.');
+        });
+    });
+
+    t.test('415', function (t) {
+        t.plan(2);
+
+        request(app).post('/v1/petstore/pets').set('Content-Type', 'text/plain').send('cat').end(function (error, response) {
+            t.strictEqual(response.statusCode, 415, '415 status.');
+            t.strictEqual(response.body.errors[0].status, 415, 'formatted.');
+        });
+    });
+
+    t.test('403 from authorize', function (t) {
+        t.plan(2);
+
+        request(app).get('/v1/petstore/pets/0').end(function (error, response) {
+            t.strictEqual(response.statusCode, 403, '403 status.');
+            t.strictEqual(response.body.errors[0].detail, 'Do not have the required scopes.', 'formatted.');
+        });
+    });
+
+    t.test('malformed body', function (t) {
+        t.plan(3);
+
+        var unparsed = express();
+
+        unparsed.use(swaggerize({
+            api: JSON.parse(JSON.stringify(require('./fixtures/defs/pets.json'))),
+            handlers: path.join(__dirname, 'fixtures/handlers')
+        }));
+
+        request(unparsed).post('/v1/petstore/pets').set('Content-Type', 'application/json').send('{"id":').end(function (error, response) {
+            t.strictEqual(response.statusCode, 400, '400 status.');
+            t.strictEqual(response.body.errors[0].title, 'Malformed Request Body', 'formatted.');
+            t.deepEqual(response.body.errors[0].source, { in: 'body' }, 'source.');
+        });
+    });
+
+    t.test('malformed body from the parent', function (t) {
+        t.plan(1);
+
+        request(app).post('/v1/petstore/pets').set('Content-Type', 'application/json').send('{"id":').end(function (error, response) {
+            t.strictEqual(response.statusCode, 599, 'left to the parent.');
+        });
+    });
+
+    t.test('other errors pass through', function (t) {
+        t.plan(1);
+
+        var other = express();
+
+        other.use(swaggerize({
+            api: JSON.parse(JSON.stringify(require('./fixtures/defs/pets.json'))),
+            handlers: {
+                pets: {
+                    $get: function (req, res, next) {
+                        next(new Error('boom'));
+                    }
+                }
+            }
+        }));
+        other.use(function (err, req, res, next) {
+            res.status(599).send(err.message);
+        });
+
+        request(other).get('/v1/petstore/pets').end(function (error, response) {
+            t.strictEqual(response.statusCode, 599, 'left to the application.');
+        });
+    });
+});
+
+test('problem+json formatter', function (t) {
+    var app = makeApp({ errorFormatter: 'problem', allErrors: true });
+
+    t.test('validation errors', function (t) {
+        t.plan(6);
+
+        request(app).get('/v1/petstore/pets?limit=abc').end(function (error, response) {
+            var body = JSON.parse(response.text);
+
+            t.strictEqual(response.statusCode, 400, '400 status.');
+            t.ok(/^application\/problem\+json/.test(response.headers['content-type']), 'content type.');
+            t.strictEqual(body.type, 'about:blank', 'type.');
+            t.strictEqual(body.title, 'Bad Request', 'title.');
+            t.strictEqual(body.instance, '/v1/petstore/pets?limit=abc', 'instance.');
+            t.deepEqual(body.errors[0].source, { in: 'query', name: 'limit' }, 'errors member.');
+        });
+    });
+
+    t.test('405', function (t) {
+        t.plan(2);
+
+        request(app).put('/v1/petstore/pets').end(function (error, response) {
+            t.strictEqual(response.statusCode, 405, '405 status.');
+            t.strictEqual(JSON.parse(response.text).title, 'Method Not Allowed', 'title.');
+        });
+    });
+});
+
+test('custom formatter', function (t) {
+    t.plan(3);
+
+    var app = makeApp({
+        errorFormatter: function (errors, req, res) {
+            res.type('application/vnd.error+json');
+            return { message: errors[0].detail };
+        }
+    });
+
+    request(app).get('/v1/petstore/pets').set('Accept', 'text/html').end(function (error, response) {
+        t.strictEqual(response.statusCode, 406, '406 status.');
+        t.ok(/^application\/vnd\.error\+json/.test(response.headers['content-type']), 'content type.');
+        t.ok(/Unsupported Accept header/.test(JSON.parse(response.text).message), 'body.');
+    });
+});
+
+test('invalid formatter', function (t) {
+    t.plan(1);
+
+    t.throws(function () {
+        swaggerize({
+            api: require('./fixtures/defs/pets.json'),
+            handlers: path.join(__dirname, 'fixtures/handlers'),
+            errorFormatter: 'xml'
+        });
+    }, /errorFormatter/, 'unknown formatter rejected.');
+});
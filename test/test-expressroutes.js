@@ -2,7 +2,8 @@
 
 var test = require('tape'),
     expressroutes = require('../lib/expressroutes'),
-    express = require('express');
+    express = require('express'),
+    request = require('supertest');
 
 test('express routes', function (t) {
 
@@ -28,10 +29,10 @@ test('express routes', function (t) {
 
             stack = Array.prototype.slice.call(parent._router.stack, 3);
 
-            t.strictEqual(stack.length, 3, '3 routes added.');
+            t.strictEqual(stack.length, 2, '2 layers added.');
             t.strictEqual(stack[0].route.path, '/v1/petstore/api-docs', 'api-docs added.');
-            t.strictEqual(stack[1].route.path, '/v1/petstore/pets/:id', 'hello added.');
-            t.strictEqual(stack[2].regexp.toString(), '/^\\/v1\\/petstore\\/pets\\/((?:[^\\/]+?))(?:\\/(?=$))?$/i', 'bleb');
+            t.strictEqual(stack[1].name, 'swaggerizeDispatch', 'dispatch added.');
+            t.strictEqual(stack[1].route, undefined, 'no route per operation.');
         });
 
         app.use(child);
@@ -53,7 +54,7 @@ test('express routes', function (t) {
 
             stack = Array.prototype.slice.call(parent._router.stack, 3);
 
-            t.strictEqual(stack.length, 1, 'only api-docs route added.');
+            t.strictEqual(stack.length, 2, 'only api-docs route and dispatch added.');
             t.strictEqual(stack[0].route.path, '/v1/petstore/api-docs', 'api-docs added.');
         });
 
@@ -61,7 +62,7 @@ test('express routes', function (t) {
     });
 
     t.test('test middlewares in handler', function (t) {
-        t.plan(5);
+        t.plan(4);
 
         var app = express(), child = express();
 
@@ -76,8 +77,13 @@ test('express routes', function (t) {
                         path: '/pets',
                         validators: [],
                         handler: [
-                            function m1(req, res, next) {},
-                            function (req, res) {}
+                            function m1(req, res, next) {
+                                res.set('X-M1', 'yes');
+                                next();
+                            },
+                            function (req, res) {
+                                res.json(req.swagger.operation.path);
+                            }
                         ]
                     }
                 ]
@@ -85,11 +91,69 @@ test('express routes', function (t) {
 
             stack = Array.prototype.slice.call(parent._router.stack, 3);
 
-            t.strictEqual(stack.length, 3, '3 routes added.');
-            t.strictEqual(stack[1].route.path, '/v1/petstore/pets', '/pets added.');
-            t.strictEqual(stack[1].route.stack.length, 2, '/pets has middleware.');
-            t.strictEqual(stack[1].route.stack[0].name, 'm1', '/pets has middleware named m1.');
-            t.strictEqual(stack[2].regexp.toString(), '/^\\/v1\\/petstore\\/pets(?:\\/(?=$))?$/i', 'bleb');
+            t.strictEqual(stack.length, 2, '2 layers added.');
+            t.strictEqual(stack[1].name, 'swaggerizeDispatch', 'dispatch added.');
+
+            request(app).get('/v1/petstore/pets').end(function (error, response) {
+                t.strictEqual(response.headers['x-m1'], 'yes', '/pets has middleware named m1.');
+                t.strictEqual(response.body, '/pets', 'operation resolved.');
+            });
+        });
+
+        app.use(child);
+    });
+
+    t.test('test path resolution', function (t) {
+        t.plan(8);
+
+        var app = express(), child = express();
+
+        function reply(name) {
+            return function (req, res) {
+                res.json({ name: name, params: req.params });
+            };
+        }
+
+        child.once('mount', function () {
+            expressroutes(app, {
+                api: require('./fixtures/defs/pets.json'),
+                routes: [
+                    { method: 'get', path: '/things/{id}', validators: [], handler: reply('byId') },
+                    { method: 'get', path: '/things/mine', validators: [], handler: reply('mine') },
+                    { method: 'get', path: '/files/{name}.{ext}', validators: [], handler: reply('file') },
+                    { method: 'get', path: '/users/{id}', validators: [], handler: reply('user') },
+                    { method: 'get', path: '/users/{userId}/posts', validators: [], handler: reply('posts') }
+                ]
+            });
+
+            request(app).get('/v1/petstore/things/mine').end(function (error, response) {
+                t.strictEqual(response.body.name, 'mine', 'literal segment preferred.');
+            });
+
+            request(app).get('/v1/petstore/things/a%20b').end(function (error, response) {
+                t.strictEqual(response.body.name, 'byId', 'parameter segment.');
+                t.deepEqual(response.body.params, { id: 'a b' }, 'parameter decoded.');
+            });
+
+            request(app).get('/v1/petstore/Files/report.json/').end(function (error, response) {
+                t.deepEqual(response.body.params, { name: 'report', ext: 'json' }, 'parameters within a segment.');
+            });
+
+            request(app).get('/v1/petstore/users/7').end(function (error, response) {
+                t.deepEqual(response.body.params, { id: '7' }, 'parameter named by its template.');
+            });
+
+            request(app).get('/v1/petstore/users/42/posts').end(function (error, response) {
+                t.deepEqual(response.body.params, { userId: '42' }, 'parameter named differently at the same position.');
+            });
+
+            request(app).get('/v1/petstore/things/%E0').end(function (error, response) {
+                t.strictEqual(response.statusCode, 400, 'undecodable parameter rejected.');
+            });
+
+            request(app).get('/v1/petstore/things/1/more').end(function (error, response) {
+                t.strictEqual(response.statusCode, 404, 'unknown path passed on.');
+            });
         });
 
         app.use(child);
@@ -0,0 +1,104 @@
+'use strict';
+
+var test = require('tape'),
+    loadapi = require('../lib/loadapi'),
+    swaggerize = require('../lib'),
+    express = require('express'),
+    request = require('supertest'),
+    path = require('path');
+
+test('loadApi', function (t) {
+
+    t.test('single file', function (t) {
+        t.plan(2);
+
+        var loaded = loadapi.loadApi(path.join(__dirname, 'fixtures/defs/pets.yaml'));
+
+        t.strictEqual(loaded.api.basePath, '/v1/petstore', 'yaml loaded.');
+        t.deepEqual(loaded.api, loaded.original, 'nothing to resolve.');
+    });
+
+    t.test('external references', function (t) {
+        t.plan(7);
+
+        var loaded = loadapi.loadApi(path.join(__dirname, 'fixtures/defs/multi/api.yaml')),
+            api = loaded.api,
+            findPets = api.paths['/pets'].get;
+
+        t.strictEqual(findPets.operationId, 'findPets', 'path item from another file.');
+        t.strictEqual(api.paths['/pets/{id}'].get.operationId, 'findPetById', 'JSON pointer fragment.');
+        t.strictEqual(findPets.parameters[0].name, 'limit', 'reference from a referenced file.');
+        t.deepEqual(findPets.responses['200'].schema.items, { $ref: '#/definitions/Pet' }, 'references to the root stay local.');
+        t.strictEqual(findPets.responses.default.schema.required[0], 'code', 'local references of other files resolved.');
+        t.strictEqual(api.definitions.Pet.properties.tag.type, 'string', 'json and yaml mixed.');
+        t.strictEqual(loaded.original.paths['/pets'].$ref, 'paths/pets.yaml#/pets', 'original kept.');
+    });
+
+    t.test('cycles', function (t) {
+        t.plan(1);
+
+        t.throws(function () {
+            loadapi.loadApi(path.join(__dirname, 'fixtures/defs/cyclic/api.yaml'));
+        }, /Circular reference: .*node\.yaml# -> .*node\.yaml#/, 'cycle reported.');
+    });
+
+    t.test('missing targets', function (t) {
+        t.plan(1);
+
+        t.throws(function () {
+            loadapi.bundle({ definitions: { Pet: { $ref: 'definitions/pet.json#/nope' } } }, path.join(__dirname, 'fixtures/defs/multi/api.yaml'));
+        }, /Can not resolve reference: definitions\/pet.json#\/nope/, 'unresolvable pointer reported.');
+    });
+});
+
+test('multi-file api', function (t) {
+    var app = express();
+
+    app.use(swaggerize({
+        api: path.join(__dirname, 'fixtures/defs/multi/api.yaml'),
+        handlers: {
+            pets: {
+                $get: function (req, res) {
+                    res.json([{ id: 0, name: 'Cat', tag: 'kitty' }]);
+                }
+            }
+        }
+    }));
+
+    t.test('routes', function (t) {
+        t.plan(3);
+
+        request(app).get('/v1/multi/pets?limit=abc').end(function (error, response) {
+            t.strictEqual(response.statusCode, 400, 'referenced parameter validated.');
+        });
+
+        request(app).get('/v1/multi/pets').end(function (error, response) {
+            t.strictEqual(response.statusCode, 200, '200 status.');
+            t.strictEqual(response.body[0].name, 'Cat', 'body is correct.');
+        });
+    });
+
+    t.test('docs serve the bundled document', function (t) {
+        t.plan(1);
+
+        request(app).get('/v1/multi/api-docs').end(function (error, response) {
+            t.strictEqual(response.body.paths['/pets'].get.operationId, 'findPets', 'bundled.');
+        });
+    });
+
+    t.test('docs serve the original document', function (t) {
+        t.plan(1);
+
+        var original = express();
+
+        original.use(swaggerize({
+            api: path.join(__dirname, 'fixtures/defs/multi/api.yaml'),
+            docsoriginal: true,
+            handlers: {}
+        }));
+
+        request(original).get('/v1/multi/api-docs').end(function (error, response) {
+            t.strictEqual(response.body.paths['/pets'].$ref, 'paths/pets.yaml#/pets', 'original.');
+        });
+    });
+});
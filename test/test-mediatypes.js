@@ -0,0 +1,110 @@
+'use strict';
+
+var test = require('tape'),
+    mediatypes = require('../lib/mediatypes'),
+    swaggerize = require('../lib'),
+    express = require('express'),
+    bodyParser = require('body-parser'),
+    request = require('supertest');
+
+test('media types', function (t) {
+
+    t.test('parse', function (t) {
+        t.plan(5);
+
+        var parsed = mediatypes.parse('Application/Vnd.API+JSON; charset="UTF-8"; q=0.5');
+
+        t.strictEqual(parsed.type, 'application', 'type lowercased.');
+        t.strictEqual(parsed.subtype, 'vnd.api+json', 'subtype lowercased.');
+        t.strictEqual(parsed.suffix, 'json', 'suffix extracted.');
+        t.strictEqual(parsed.params.charset, 'UTF-8', 'quoted parameter unquoted.');
+        t.strictEqual(parsed.q, 0.5, 'quality parsed.');
+    });
+
+    t.test('parseList', function (t) {
+        t.plan(2);
+
+        var ranges = mediatypes.parseList('application/json;q=0.9,text/html, bogus, text/plain; format="a,b"');
+
+        t.strictEqual(ranges.length, 3, 'invalid ranges dropped, quoted commas kept.');
+        t.strictEqual(ranges[2].params.format, 'a,b', 'quoted comma preserved.');
+    });
+
+    t.test('matchContentType', function (t) {
+        t.plan(5);
+
+        t.strictEqual(mediatypes.matchContentType('application/json; charset=utf-8', ['application/json']), 'application/json', 'parameters tolerated.');
+        t.strictEqual(mediatypes.matchContentType('application/json', ['application/json-patch+json']), null, 'no prefix matching.');
+        t.strictEqual(mediatypes.matchContentType('application/json-patch+json', ['application/json']), null, 'suffix does not match the base type.');
+        t.strictEqual(mediatypes.matchContentType('application/merge-patch+json', ['application/*+json']), 'application/*+json', 'suffix range.');
+        t.strictEqual(mediatypes.matchContentType('text/csv', ['text/*']), 'text/*', 'declared wildcard.');
+    });
+
+    t.test('negotiate', function (t) {
+        t.plan(7);
+
+        var offered = ['application/json', 'text/html'];
+
+        t.strictEqual(mediatypes.negotiate(undefined, offered), 'application/json', 'no Accept means anything.');
+        t.strictEqual(mediatypes.negotiate('application/json;q=0.9,text/html', offered), 'text/html', 'quality respected.');
+        t.strictEqual(mediatypes.negotiate('text/*', offered), 'text/html', 'subtype wildcard.');
+        t.strictEqual(mediatypes.negotiate('*/*, application/json;q=0', offered), 'text/html', 'q=0 excludes despite */*.');
+        t.strictEqual(mediatypes.negotiate('application/json', ['application/json-patch+json']), null, 'no prefix matching.');
+        t.strictEqual(mediatypes.negotiate('application/*+json', ['application/hal+json']), 'application/hal+json', 'suffix range.');
+        t.strictEqual(mediatypes.negotiate('image/png', offered), null, 'nothing acceptable.');
+    });
+});
+
+test('media type negotiation middleware', function (t) {
+    var app = express();
+
+    app.use(bodyParser.json({ type: '*/*' }));
+    app.use(swaggerize({
+        api: require('./fixtures/defs/pets.json'),
+        handlers: {
+            pets: {
+                $get: function (req, res) {
+                    res.json(req.mediaTypes);
+                },
+                $post: function (req, res) {
+                    res.json(req.mediaTypes);
+                }
+            }
+        }
+    }));
+
+    t.test('negotiated types exposed on req', function (t) {
+        t.plan(3);
+
+        request(app).post('/v1/petstore/pets')
+            .set('Content-Type', 'application/json; charset=utf-8')
+            .set('Accept', 'text/html, application/*;q=0.8')
+            .send(JSON.stringify({ id: 0, name: 'Cat' }))
+            .end(function (error, response) {
+                t.strictEqual(response.statusCode, 200, '200 status.');
+                t.strictEqual(response.body.consumes, 'application/json', 'consumed type.');
+                t.strictEqual(response.body.produces, 'application/json', 'produced type.');
+            });
+    });
+
+    t.test('415 for unsupported content type', function (t) {
+        t.plan(1);
+
+        request(app).post('/v1/petstore/pets')
+            .set('Content-Type', 'application/json-patch+json')
+            .send(JSON.stringify({ id: 0, name: 'Cat' }))
+            .end(function (error, response) {
+                t.strictEqual(response.statusCode, 415, '415 status.');
+            });
+    });
+
+    t.test('406 for unacceptable accept', function (t) {
+        t.plan(1);
+
+        request(app).get('/v1/petstore/pets')
+            .set('Accept', 'application/json;q=0, text/*')
+            .end(function (error, response) {
+                t.strictEqual(response.statusCode, 406, '406 status.');
+            });
+    });
+});
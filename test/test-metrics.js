@@ -0,0 +1,115 @@
+'use strict';
+
+var test = require('tape'),
+    swaggerize = require('../lib'),
+    createMetrics = require('../lib/metrics'),
+    express = require('express'),
+    bodyParser = require('body-parser'),
+    request = require('supertest'),
+    path = require('path');
+
+function find(entries, labels) {
+    return entries.filter(function (entry) {
+        return Object.keys(labels).every(function (name) {
+            return entry[name] === labels[name];
+        });
+    })[0];
+}
+
+test('metrics collector', function (t) {
+
+    t.test('histogram buckets', function (t) {
+        t.plan(4);
+
+        var metrics = createMetrics({ buckets: [1, 0.1] }),
+            res = new (require('events').EventEmitter)(),
+            entry;
+
+        res.locals = {};
+        res.statusCode = 201;
+        metrics.record({ operationId: 'op', method: 'GET', path: '/op' }, res);
+        metrics.record({ operationId: 'other', method: 'GET', path: '/op' }, res);
+        res.emit('finish');
+
+        entry = metrics.snapshot().requests[0];
+        t.strictEqual(metrics.snapshot().requests.length, 1, 'recorded once per response.');
+        t.strictEqual(entry.status, '2xx', 'status class.');
+        t.deepEqual(entry.buckets, { 0.1: 1, 1: 1 }, 'buckets sorted and filled.');
+
+        metrics.reset();
+        t.deepEqual(metrics.snapshot(), { requests: [], rejections: [] }, 'reset.');
+    });
+});
+
+test('metrics', function (t) {
+    var app = express(),
+        swagger = swaggerize({
+            api: require('./fixtures/defs/pets.json'),
+            handlers: path.join(__dirname, 'fixtures/handlers'),
+            metricspath: '/metrics'
+        });
+
+    app.use(bodyParser.json());
+    app.use(swagger);
+
+    t.test('requests', function (t) {
+        t.plan(5);
+
+        request(app).get('/v1/petstore/pets').end(function () {
+            request(app).get('/v1/petstore/pets').end(function () {
+                var entry = find(app.swagger.metrics.snapshot().requests, { operationId: 'findPets' });
+
+                t.strictEqual(entry.method, 'GET', 'method.');
+                t.strictEqual(entry.path, '/pets', 'path.');
+                t.strictEqual(entry.status, '2xx', 'status class.');
+                t.strictEqual(entry.count, 2, 'count.');
+                t.ok(entry.sum > 0, 'latency.');
+            });
+        });
+    });
+
+    t.test('rejections', function (t) {
+        t.plan(5);
+
+        request(app).get('/v1/petstore/pets?limit=a').end(function () {
+            request(app).put('/v1/petstore/pets').end(function () {
+                request(app).post('/v1/petstore/pets').set('Content-Type', 'text/plain').send('cat').end(function () {
+                    request(app).get('/v1/petstore/pets').set('Accept', 'text/html').end(function () {
+                        var rejections = app.swagger.metrics.snapshot().rejections;
+
+                        t.strictEqual(find(rejections, { operationId: 'findPets', status: '400' }).count, 1, 'validation.');
+                        t.strictEqual(find(rejections, { path: '/pets', method: 'PUT', status: '405' }).count, 1, 'method not allowed.');
+                        t.strictEqual(find(rejections, { operationId: 'addPet', status: '415' }).count, 1, 'unsupported media type.');
+                        t.strictEqual(find(rejections, { operationId: 'findPets', status: '406' }).count, 1, 'not acceptable.');
+                        t.strictEqual(find(app.swagger.metrics.snapshot().requests, { operationId: 'findPets', status: '4xx' }).count, 2, '4xx requests.');
+                    });
+                });
+            });
+        });
+    });
+
+    t.test('prometheus endpoint', function (t) {
+        t.plan(5);
+
+        request(app).get('/v1/petstore/metrics').end(function (error, response) {
+            t.strictEqual(response.statusCode, 200, '200 status.');
+            t.ok(/^text\/plain;.*version=0\.0\.4/.test(response.headers['content-type']), 'exposition content type.');
+            t.ok(response.text.indexOf('swaggerize_http_requests_total{operationId="findPets",method="GET",path="/pets",status="2xx"} 2') > -1, 'request count.');
+            t.ok(response.text.indexOf('swaggerize_http_request_duration_seconds_bucket{operationId="findPets",method="GET",path="/pets",status="2xx",le="+Inf"} 2') > -1, 'histogram.');
+            t.ok(response.text.indexOf('swaggerize_http_rejections_total{operationId="addPet",method="POST",path="/pets",status="415"} 1') > -1, 'rejections.');
+        });
+    });
+});
+
+test('metrics disabled by default', function (t) {
+    t.plan(1);
+
+    var app = express();
+
+    app.use(swaggerize({
+        api: require('./fixtures/defs/pets.json'),
+        handlers: path.join(__dirname, 'fixtures/handlers')
+    }));
+
+    t.ok(!app.swagger.metrics, 'no metrics.');
+});
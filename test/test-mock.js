@@ -0,0 +1,214 @@
+'use strict';
+
+var test = require('tape'),
+    swaggerize = require('../lib'),
+    mock = require('../lib/mock'),
+    express = require('express'),
+    bodyParser = require('body-parser'),
+    request = require('supertest'),
+    yaml = require('js-yaml'),
+    fs = require('fs'),
+    path = require('path');
+
+function loadApi(file) {
+    return yaml.load(fs.readFileSync(path.join(__dirname, 'fixtures/defs', file)));
+}
+
+test('sample', function (t) {
+
+    t.test('definitions', function (t) {
+        t.plan(2);
+
+        var api = loadApi('pets.json');
+
+        t.deepEqual(mock.sample(api, { $ref: '#/definitions/Pet' }), { id: 0, name: 'string', tag: 'string' }, 'object from properties.');
+        t.deepEqual(mock.sample(api, { type: 'array', items: { $ref: '#/definitions/Error' }, minItems: 2 }), [
+            { code: 0, message: 'string' },
+            { code: 0, message: 'string' }
+        ], 'array of minItems.');
+    });
+
+    t.test('keywords', function (t) {
+        t.plan(7);
+
+        t.strictEqual(mock.sample({}, { type: 'string', example: 'Fido' }), 'Fido', 'example.');
+        t.strictEqual(mock.sample({}, { type: 'string', enum: ['cat', 'dog'] }), 'cat', 'enum.');
+        t.strictEqual(mock.sample({}, { type: 'string', format: 'date-time' }), '2000-01-01T00:00:00.000Z', 'format.');
+        t.strictEqual(mock.sample({}, { type: 'string', minLength: 8, maxLength: 10 }), 'stringstri', 'length bounds.');
+        t.strictEqual(mock.sample({}, { type: 'integer', minimum: 1, exclusiveMinimum: true }), 2, 'exclusive minimum.');
+        t.strictEqual(mock.sample({}, { type: 'number', minimum: 3, multipleOf: 2 }), 4, 'multipleOf.');
+        t.deepEqual(mock.sample({}, { allOf: [{ properties: { a: { type: 'boolean' } } }, { properties: { b: { type: 'integer' } } }] }), { a: true, b: 0 }, 'allOf merged.');
+    });
+
+    t.test('recursive definitions', function (t) {
+        t.plan(1);
+
+        var api = {
+            definitions: {
+                Node: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string' },
+                        parent: { $ref: '#/definitions/Node' },
+                        children: { type: 'array', items: { $ref: '#/definitions/Node' } }
+                    }
+                }
+            }
+        };
+
+        t.deepEqual(mock.sample(api, { $ref: '#/definitions/Node' }), { name: 'string', children: [] }, 'recursion left out.');
+    });
+});
+
+test('mock mode', function (t) {
+    var api = loadApi('pets.json'),
+        app = express();
+
+    api.paths['/pets/{id}'].get.responses['200'].examples = {
+        'application/json': { id: 1, name: 'Rex' }
+    };
+    delete api.paths['/pets/{id}'].get.security;
+
+    app.use(bodyParser.json());
+    app.use(swaggerize({
+        api: api,
+        handlers: {
+            pets: {
+                $get: function (req, res) {
+                    res.json([{ id: 7, name: 'Handled' }]);
+                }
+            }
+        },
+        mock: true
+    }));
+
+    t.test('implemented operations use their handler', function (t) {
+        t.plan(2);
+
+        request(app).get('/v1/petstore/pets').end(function (error, response) {
+            t.ok(!error, 'no error.');
+            t.deepEqual(response.body, [{ id: 7, name: 'Handled' }], 'handler response.');
+        });
+    });
+
+    t.test('synthesized from the schema', function (t) {
+        t.plan(3);
+
+        request(app).post('/v1/petstore/pets').send({ id: 0, name: 'Cat' }).end(function (error, response) {
+            t.strictEqual(response.statusCode, 200, '200 status.');
+            t.ok(/application\/json/.test(response.headers['content-type']), 'json content type.');
+            t.deepEqual(response.body, { id: 0, name: 'string', tag: 'string' }, 'sample body.');
+        });
+    });
+
+    t.test('declared examples', function (t) {
+        t.plan(2);
+
+        request(app).get('/v1/petstore/pets/1').end(function (error, response) {
+            t.strictEqual(response.statusCode, 200, '200 status.');
+            t.deepEqual(response.body, { id: 1, name: 'Rex' }, 'example body.');
+        });
+    });
+
+    t.test('responses without a schema', function (t) {
+        t.plan(2);
+
+        request(app).delete('/v1/petstore/pets/1').end(function (error, response) {
+            t.strictEqual(response.statusCode, 204, '204 status.');
+            t.strictEqual(response.text, '', 'no body.');
+        });
+    });
+
+    t.test('Prefer picks the status', function (t) {
+        t.plan(2);
+
+        request(app).get('/v1/petstore/pets/1').set('Prefer', 'code=404').end(function (error, response) {
+            t.strictEqual(response.statusCode, 404, '404 status.');
+            t.deepEqual(response.body, { code: 0, message: 'string' }, 'default response body.');
+        });
+    });
+
+    t.test('Prefer with an invalid status', function (t) {
+        t.plan(4);
+
+        request(app).get('/v1/petstore/pets/1').set('Prefer', 'code=abc').end(function (error, response) {
+            t.strictEqual(response.statusCode, 400, '400 status.');
+            t.strictEqual(response.body.errors[0].title, 'Bad Request', 'formatted.');
+        });
+
+        request(app).get('/v1/petstore/pets/1').set('Prefer', 'code=999').end(function (error, response) {
+            t.strictEqual(response.statusCode, 400, 'out of range.');
+        });
+
+        request(app).get('/v1/petstore/pets/1').set('Prefer', 'code=2000').end(function (error, response) {
+            t.strictEqual(response.statusCode, 400, 'not three digits.');
+        });
+    });
+
+    t.test('requests are still validated', function (t) {
+        t.plan(1);
+
+        request(app).post('/v1/petstore/pets').send({ name: 'Cat' }).end(function (error, response) {
+            t.strictEqual(response.statusCode, 400, '400 status.');
+        });
+    });
+
+    t.test('disabled by default', function (t) {
+        t.plan(1);
+
+        var plain = express();
+
+        plain.use(swaggerize({
+            api: loadApi('pets.json'),
+            handlers: {
+                pets: {
+                    $get: function (req, res) {
+                        res.json([]);
+                    }
+                }
+            }
+        }));
+
+        request(plain).delete('/v1/petstore/pets/1').end(function (error, response) {
+            t.strictEqual(response.statusCode, 404, 'not routed.');
+        });
+    });
+});
+
+test('mock mode openapi 3.0', function (t) {
+    var api = loadApi('pets-openapi3.yaml'),
+        app = express();
+
+    api.paths['/pets'].get.responses['200'].content['application/json'].examples = {
+        one: { value: [{ id: 1, name: 'One' }] },
+        two: { value: [{ id: 2, name: 'Two' }] }
+    };
+    delete api.paths['/pets/{id}'].get.security;
+
+    app.use(swaggerize({
+        api: api,
+        handlers: {},
+        mock: true
+    }));
+
+    t.test('named examples', function (t) {
+        t.plan(2);
+
+        request(app).get('/v3/petstore/pets').end(function (error, response) {
+            t.deepEqual(response.body, [{ id: 1, name: 'One' }], 'first example.');
+
+            request(app).get('/v3/petstore/pets').set('Prefer', 'example=two').end(function (error, response) {
+                t.deepEqual(response.body, [{ id: 2, name: 'Two' }], 'preferred example.');
+            });
+        });
+    });
+
+    t.test('negotiated media type', function (t) {
+        t.plan(2);
+
+        request(app).get('/v3/petstore/pets/1').set('Accept', 'application/xml').end(function (error, response) {
+            t.strictEqual(response.statusCode, 200, '200 status.');
+            t.ok(/application\/xml/.test(response.headers['content-type']), 'xml content type.');
+        });
+    });
+});
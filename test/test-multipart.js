@@ -0,0 +1,140 @@
+'use strict';
+
+var test = require('tape'),
+    swaggerize = require('../lib'),
+    express = require('express'),
+    request = require('supertest');
+
+test('multipart', function (t) {
+    var app = express(),
+        api = {
+            swagger: '2.0',
+            info: { title: 'uploads', version: '1.0.0' },
+            basePath: '/v1',
+            paths: {
+                '/uploads': {
+                    post: {
+                        consumes: ['multipart/form-data'],
+                        parameters: [
+                            { name: 'avatar', in: 'formData', type: 'file', required: true, 'x-max-size': 16, 'x-media-types': ['image/*'] },
+                            { name: 'attachments', in: 'formData', type: 'file', 'x-max-count': 2 },
+                            { name: 'count', in: 'formData', type: 'integer' }
+                        ],
+                        responses: {
+                            200: { description: 'the upload' }
+                        }
+                    }
+                }
+            }
+        };
+
+    app.use(swaggerize({
+        api: api,
+        handlers: {
+            uploads: {
+                $post: function (req, res) {
+                    var params = req.swagger.params.formData,
+                        chunks = [];
+
+                    params.avatar.createReadStream().on('data', function (chunk) {
+                        chunks.push(chunk);
+                    }).on('end', function () {
+                        res.json({
+                            avatar: {
+                                name: params.avatar.originalname,
+                                type: params.avatar.mimetype,
+                                content: params.avatar.buffer.toString(),
+                                streamed: Buffer.concat(chunks).toString()
+                            },
+                            attachments: (params.attachments || []).map(function (file) {
+                                return file.originalname;
+                            }),
+                            count: params.count
+                        });
+                    });
+                }
+            }
+        }
+    }));
+
+    t.test('files by parameter name', function (t) {
+        t.plan(7);
+
+        request(app).post('/v1/uploads')
+            .field('count', '2')
+            .attach('avatar', Buffer.from('small'), 'me.png')
+            .attach('attachments', Buffer.from('one'), 'one.txt')
+            .attach('attachments', Buffer.from('two'), 'two.txt')
+            .end(function (error, response) {
+                t.strictEqual(response.statusCode, 200, '200 status.');
+                t.strictEqual(response.body.avatar.name, 'me.png', 'file name.');
+                t.strictEqual(response.body.avatar.type, 'image/png', 'media type.');
+                t.strictEqual(response.body.avatar.content, 'small', 'as a buffer.');
+                t.strictEqual(response.body.avatar.streamed, 'small', 'as a stream.');
+                t.deepEqual(response.body.attachments, ['one.txt', 'two.txt'], 'repeated field.');
+                t.strictEqual(response.body.count, 2, 'field coerced.');
+            });
+    });
+
+    t.test('missing required file', function (t) {
+        t.plan(2);
+
+        request(app).post('/v1/uploads').field('count', '2').end(function (error, response) {
+            t.strictEqual(response.statusCode, 400, '400 status.');
+            t.strictEqual(response.body.errors[0].source.name, 'avatar', 'source.');
+        });
+    });
+
+    t.test('no body', function (t) {
+        t.plan(2);
+
+        request(app).post('/v1/uploads').end(function (error, response) {
+            t.strictEqual(response.statusCode, 400, '400 status.');
+            t.strictEqual(response.body.errors[0].source.name, 'avatar', 'source.');
+        });
+    });
+
+    t.test('file too large', function (t) {
+        t.plan(3);
+
+        request(app).post('/v1/uploads').attach('avatar', Buffer.from('far more than sixteen bytes'), 'me.png').end(function (error, response) {
+            t.strictEqual(response.statusCode, 413, '413 status.');
+            t.strictEqual(response.body.errors[0].title, 'Payload Too Large', 'title.');
+            t.deepEqual(response.body.errors[0].source, { in: 'formData', name: 'avatar' }, 'source.');
+        });
+    });
+
+    t.test('too many files', function (t) {
+        t.plan(2);
+
+        request(app).post('/v1/uploads')
+            .attach('avatar', Buffer.from('small'), 'me.png')
+            .attach('attachments', Buffer.from('one'), 'one.txt')
+            .attach('attachments', Buffer.from('two'), 'two.txt')
+            .attach('attachments', Buffer.from('three'), 'three.txt')
+            .end(function (error, response) {
+                t.strictEqual(response.statusCode, 400, '400 status.');
+                t.strictEqual(response.body.errors[0].title, 'Too Many Files', 'title.');
+            });
+    });
+
+    t.test('media type not accepted', function (t) {
+        t.plan(2);
+
+        request(app).post('/v1/uploads').attach('avatar', Buffer.from('small'), 'me.txt').end(function (error, response) {
+            t.strictEqual(response.statusCode, 415, '415 status.');
+            t.strictEqual(response.body.errors[0].source.name, 'avatar', 'source.');
+        });
+    });
+
+    t.test('malformed body', function (t) {
+        t.plan(1);
+
+        request(app).post('/v1/uploads')
+            .set('Content-Type', 'multipart/form-data; boundary=xyz')
+            .send('--xyz\r\nContent-Disposition: form-data; name="count"\r\n\r\n2')
+            .end(function (error, response) {
+                t.strictEqual(response.statusCode, 400, '400 status.');
+            });
+    });
+});
@@ -0,0 +1,255 @@
+'use strict';
+
+var test = require('tape'),
+    swaggerize = require('../lib'),
+    openapi = require('../lib/openapi'),
+    express = require('express'),
+    bodyParser = require('body-parser'),
+    request = require('supertest'),
+    yaml = require('js-yaml'),
+    fs = require('fs'),
+    path = require('path');
+
+function loadApi() {
+    return yaml.load(fs.readFileSync(path.join(__dirname, 'fixtures/defs/pets-openapi3.yaml')));
+}
+
+test('openapi 3.0 conversion', function (t) {
+
+    t.test('basePath from servers', function (t) {
+        t.plan(3);
+
+        var api = loadApi();
+
+        t.strictEqual(openapi.basePath(api), '/v3/petstore', 'server variables expanded.');
+        t.strictEqual(openapi.basePath({ openapi: '3.0.1', paths: {} }), '/', 'no servers.');
+        t.strictEqual(openapi.basePath({ swagger: '2.0', basePath: '/v1' }), '/v1', 'swagger 2.0 basePath.');
+    });
+
+    t.test('operations', function (t) {
+        t.plan(6);
+
+        var converted = openapi.toSwagger2(loadApi()),
+            get = converted.paths['/pets'].get,
+            post = converted.paths['/pets'].post;
+
+        t.deepEqual(post.consumes, ['application/json', 'application/x-www-form-urlencoded'], 'consumes from requestBody.');
+        t.deepEqual(converted.paths['/pets/{id}'].get.produces, ['application/json', 'application/xml'], 'produces from responses.');
+        t.strictEqual(get.parameters[0].collectionFormat, 'csv', 'style/explode to collectionFormat.');
+        t.strictEqual(get.parameters[0].items.type, 'string', 'schema lifted.');
+        t.strictEqual(get.parameters[1].name, 'limit', 'parameter reference resolved.');
+        t.strictEqual(converted.paths['/pets/{id}'].parameters[0].type, 'integer', 'path-level parameters.');
+    });
+
+    t.test('security schemes', function (t) {
+        t.plan(2);
+
+        var definitions = openapi.securityDefinitions({
+            openapi: '3.0.0',
+            paths: {},
+            components: {
+                securitySchemes: {
+                    oauth: {
+                        type: 'oauth2',
+                        flows: {
+                            implicit: { authorizationUrl: 'http://auth', scopes: { read: 'read' } },
+                            clientCredentials: { tokenUrl: 'http://token', scopes: { write: 'write' } }
+                        }
+                    },
+                    bearer: { type: 'http', scheme: 'bearer' }
+                }
+            }
+        });
+
+        t.deepEqual(Object.keys(definitions.oauth.scopes), ['read', 'write'], 'oauth2 flow scopes merged.');
+        t.strictEqual(definitions.bearer.scheme, 'bearer', 'scheme kept.');
+    });
+});
+
+test('openapi 3.0 routes', function (t) {
+    var app = express();
+
+    app.use(bodyParser.json());
+    app.use(bodyParser.urlencoded({ extended: false }));
+    app.use(swaggerize({
+        api: path.join(__dirname, 'fixtures/defs/pets-openapi3.yaml'),
+        validateResponses: true,
+        handlers: {
+            pets: {
+                '{id}': {
+                    $get: function (req, res) {
+                        res.json({ id: req.params.id, name: 'Cat', tag: req.cookies && req.cookies.session });
+                    }
+                },
+                $get: function (req, res) {
+                    res.json([{ id: 0, name: 'Cat', tag: req.swagger.params.query.tags.join('|') }]);
+                },
+                $post: function (req, res) {
+                    res.json({ id: 1, name: req.swagger.params.body.body.name });
+                }
+            }
+        },
+        security: 'fixtures/security'
+    }));
+
+    t.test('mounted under servers path', function (t) {
+        t.plan(3);
+
+        request(app).get('/v3/petstore/pets?tags=a,b&limit=2').end(function (error, response) {
+            t.strictEqual(response.statusCode, 200, '200 status.');
+            t.strictEqual(response.body[0].tag, 'a|b', 'query parsed.');
+            t.strictEqual(openapi.basePath(app.swagger.api), '/v3/petstore', 'base path from servers.');
+        });
+    });
+
+    t.test('parameter validation', function (t) {
+        t.plan(2);
+
+        request(app).get('/v3/petstore/pets?limit=abc').end(function (error, response) {
+            t.strictEqual(response.statusCode, 400, '400 status.');
+            t.deepEqual(response.body.errors[0].source, { in: 'query', name: 'limit' }, 'source.');
+        });
+    });
+
+    t.test('requestBody per content type', function (t) {
+        t.plan(4);
+
+        request(app).post('/v3/petstore/pets').send({ id: 1, name: 'Cat' }).end(function (error, response) {
+            t.strictEqual(response.statusCode, 200, 'json body valid.');
+        });
+
+        request(app).post('/v3/petstore/pets').send({ name: 'Cat' }).end(function (error, response) {
+            t.strictEqual(response.statusCode, 400, 'json body checked against its schema.');
+        });
+
+        request(app).post('/v3/petstore/pets').type('form').send({ name: 'Cat' }).end(function (error, response) {
+            t.strictEqual(response.statusCode, 200, 'form body checked against its own schema.');
+        });
+
+        request(app).post('/v3/petstore/pets').type('text').send('Cat').end(function (error, response) {
+            t.strictEqual(response.statusCode, 415, 'undeclared content type rejected.');
+        });
+    });
+
+    t.test('swagger params', function (t) {
+        t.plan(2);
+
+        request(app).post('/v3/petstore/pets').send({ id: 1, name: 'Cat' }).end(function (error, response) {
+            t.strictEqual(response.statusCode, 200, '200 status.');
+            t.strictEqual(response.body.name, 'Cat', 'requestBody as body.');
+        });
+    });
+
+    t.test('required requestBody', function (t) {
+        t.plan(2);
+
+        request(app).post('/v3/petstore/pets').end(function (error, response) {
+            t.strictEqual(response.statusCode, 400, '400 status.');
+            t.deepEqual(response.body.errors[0].source, { in: 'body', pointer: '' }, 'source.');
+        });
+    });
+
+    t.test('accept negotiated from response content', function (t) {
+        t.plan(1);
+
+        request(app).get('/v3/petstore/pets').set('Accept', 'application/xml').end(function (error, response) {
+            t.strictEqual(response.statusCode, 406, '406 status.');
+        });
+    });
+
+    t.test('security schemes', function (t) {
+        t.plan(1);
+
+        request(app).get('/v3/petstore/pets/1').end(function (error, response) {
+            t.strictEqual(response.statusCode, 401, '401 without an authorize handler.');
+        });
+    });
+
+    t.test('docs serve the original document', function (t) {
+        t.plan(2);
+
+        request(app).get('/v3/petstore/api-docs').end(function (error, response) {
+            t.strictEqual(response.body.openapi, '3.0.0', 'openapi document.');
+            t.ok(!response.body.basePath, 'not converted.');
+        });
+    });
+});
+
+test('openapi 3.0 input errors', function (t) {
+    var app = express();
+
+    app.use(swaggerize({
+        api: {
+            openapi: '3.0.0',
+            info: { title: 'inputs', version: '1.0.0' },
+            servers: [{ url: '/v3' }],
+            paths: {
+                '/things': {
+                    get: {
+                        parameters: [
+                            { name: 'session', in: 'cookie', schema: { type: 'string' } }
+                        ],
+                        responses: {
+                            200: { description: 'the session' }
+                        }
+                    },
+                    post: {
+                        parameters: [
+                            { name: 'limit', in: 'query', schema: { type: 'integer' } }
+                        ],
+                        requestBody: {
+                            required: true,
+                            content: {
+                                'application/json': {
+                                    schema: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } }
+                                }
+                            }
+                        },
+                        responses: {
+                            201: { description: 'created' }
+                        }
+                    }
+                }
+            }
+        },
+        allErrors: true,
+        handlers: {
+            things: {
+                $get: function (req, res) {
+                    res.json({ session: req.swagger.params.cookie.session });
+                },
+                $post: function (req, res) {
+                    res.status(201).json(req.body);
+                }
+            }
+        }
+    }));
+
+    t.test('malformed cookie', function (t) {
+        t.plan(2);
+
+        request(app).get('/v3/things').set('Cookie', 'session=%E0%A4%A').end(function (error, response) {
+            t.strictEqual(response.statusCode, 200, '200 status.');
+            t.strictEqual(response.body.session, '%E0%A4%A', 'kept as sent.');
+        });
+    });
+
+    t.test('parameter and requestBody errors together', function (t) {
+        t.plan(3);
+
+        request(app).post('/v3/things?limit=abc').send({}).end(function (error, response) {
+            t.strictEqual(response.statusCode, 400, '400 status.');
+            t.deepEqual(response.body.errors[0].source, { in: 'query', name: 'limit' }, 'parameter error.');
+            t.deepEqual(response.body.errors[1].source, { in: 'body', pointer: '/name' }, 'requestBody error.');
+        });
+    });
+
+    t.test('requestBody errors alone', function (t) {
+        t.plan(2);
+
+        request(app).post('/v3/things').end(function (error, response) {
+            t.strictEqual(response.statusCode, 400, '400 status.');
+            t.strictEqual(response.body.errors[0].title, 'Missing Value for Required Body', 'title.');
+        });
+    });
+});
@@ -0,0 +1,146 @@
+'use strict';
+
+var test = require('tape'),
+    swaggerize = require('../lib'),
+    ratelimit = require('../lib/ratelimit'),
+    express = require('express'),
+    request = require('supertest');
+
+function makeApi() {
+    var api = JSON.parse(JSON.stringify(require('./fixtures/defs/pets.json')));
+
+    api.paths['/pets'].get['x-rate-limit'] = { limit: 2, window: 60, key: 'header:x-api-key' };
+    api.paths['/pets/{id}']['x-rate-limit'] = { limit: 1, window: 60 };
+    delete api.paths['/pets/{id}'].get.security;
+
+    return api;
+}
+
+function makeApp(options) {
+    var app = express();
+
+    app.use(swaggerize(Object.assign({
+        api: makeApi(),
+        handlers: {
+            pets: {
+                $get: function (req, res) {
+                    res.json([]);
+                },
+                '{id}': {
+                    $get: function (req, res) {
+                        res.json({ id: 1, name: 'Cat' });
+                    },
+                    $delete: function (req, res) {
+                        res.status(204).end();
+                    }
+                }
+            }
+        }
+    }, options)));
+
+    return app;
+}
+
+test('memory store', function (t) {
+    t.plan(3);
+
+    var store = ratelimit.memoryStore();
+
+    store.increment('a', 60000, function (error, first) {
+        store.increment('a', 60000, function (error, second) {
+            store.increment('b', 60000, function (error, other) {
+                t.strictEqual(first.count, 1, 'first hit.');
+                t.strictEqual(second.count, 2, 'counted per key.');
+                t.strictEqual(other.count, 1, 'keys are separate.');
+            });
+        });
+    });
+});
+
+test('x-rate-limit', function (t) {
+    var app = makeApp();
+
+    t.test('operation limit', function (t) {
+        t.plan(9);
+
+        request(app).get('/v1/petstore/pets').set('x-api-key', 'one').end(function (error, response) {
+            t.strictEqual(response.statusCode, 200, '200 status.');
+            t.strictEqual(response.headers['ratelimit-limit'], '2', 'RateLimit-Limit.');
+            t.strictEqual(response.headers['ratelimit-remaining'], '1', 'RateLimit-Remaining.');
+            t.ok(Number(response.headers['ratelimit-reset']) <= 60, 'RateLimit-Reset.');
+
+            request(app).get('/v1/petstore/pets').set('x-api-key', 'one').end(function () {
+                request(app).get('/v1/petstore/pets').set('x-api-key', 'one').end(function (error, response) {
+                    t.strictEqual(response.statusCode, 429, '429 status.');
+                    t.strictEqual(response.headers['ratelimit-remaining'], '0', 'none remaining.');
+                    t.ok(response.headers['retry-after'], 'Retry-After.');
+                    t.strictEqual(response.body.errors[0].title, 'Too Many Requests', 'library error format.');
+
+                    request(app).get('/v1/petstore/pets').set('x-api-key', 'two').end(function (error, response) {
+                        t.strictEqual(response.statusCode, 200, 'other keys unaffected.');
+                    });
+                });
+            });
+        });
+    });
+
+    t.test('path limit shared by its operations', function (t) {
+        t.plan(2);
+
+        request(app).get('/v1/petstore/pets/1').end(function (error, response) {
+            t.strictEqual(response.statusCode, 200, 'first request.');
+
+            request(app).delete('/v1/petstore/pets/1').end(function (error, response) {
+                t.strictEqual(response.statusCode, 429, 'limit shared.');
+            });
+        });
+    });
+
+    t.test('enforced before validators', function (t) {
+        t.plan(1);
+
+        request(app).get('/v1/petstore/pets?limit=a').set('x-api-key', 'one').end(function (error, response) {
+            t.strictEqual(response.statusCode, 429, '429 rather than 400.');
+        });
+    });
+});
+
+test('rateLimitStore', function (t) {
+    t.plan(3);
+
+    var keys = [],
+        app = makeApp({
+            rateLimitStore: {
+                increment: function (key, windowMs, callback) {
+                    keys.push(key);
+                    callback(null, { count: 1, reset: Date.now() + windowMs });
+                }
+            }
+        });
+
+    request(app).get('/v1/petstore/pets').set('x-api-key', 'one').end(function (error, response) {
+        t.strictEqual(response.statusCode, 200, '200 status.');
+        t.strictEqual(keys.length, 1, 'store used.');
+        t.strictEqual(keys[0], 'GET /pets|header:x-api-key:one', 'key by operation and client.');
+    });
+});
+
+test('ip key behind a trusted proxy', function (t) {
+    t.plan(1);
+
+    var keys = [],
+        app = makeApp({
+            rateLimitStore: {
+                increment: function (key, windowMs, callback) {
+                    keys.push(key);
+                    callback(null, { count: 1, reset: Date.now() + windowMs });
+                }
+            }
+        });
+
+    app.set('trust proxy', true);
+
+    request(app).get('/v1/petstore/pets/1').set('X-Forwarded-For', '203.0.113.7').end(function () {
+        t.strictEqual(keys[0], '/pets/{id}|ip:203.0.113.7', 'client address forwarded by the proxy.');
+    });
+});
@@ -0,0 +1,151 @@
+'use strict';
+
+var test = require('tape'),
+    swaggerize = require('../lib'),
+    express = require('express'),
+    bodyParser = require('body-parser'),
+    request = require('supertest');
+
+function makeApp(handlers, validateResponses, log) {
+    var app = express();
+
+    app.use(bodyParser.json());
+    app.use(swaggerize({
+        api: JSON.parse(JSON.stringify(require('./fixtures/defs/pets.json'))),
+        handlers: handlers,
+        validateResponses: validateResponses,
+        log: log
+    }));
+
+    return app;
+}
+
+test('response validation', function (t) {
+
+    t.test('valid response passes', function (t) {
+        t.plan(2);
+
+        var app = makeApp({
+            pets: {
+                $get: function (req, res) {
+                    res.json([{ id: 1, name: 'Cat' }]);
+                }
+            }
+        }, true);
+
+        request(app).get('/v1/petstore/pets').end(function (error, response) {
+            t.strictEqual(response.statusCode, 200, '200 status.');
+            t.strictEqual(response.body[0].name, 'Cat', 'body is correct.');
+        });
+    });
+
+    t.test('invalid body becomes a 500', function (t) {
+        t.plan(3);
+
+        var app = makeApp({
+            pets: {
+                $get: function (req, res) {
+                    res.json([{ id: 'one' }]);
+                }
+            }
+        }, true);
+
+        request(app).get('/v1/petstore/pets').end(function (error, response) {
+            t.strictEqual(response.statusCode, 500, '500 status.');
+            t.strictEqual(response.body.errors[0].title, 'Response Validation Error', 'error title.');
+            t.strictEqual(response.body.errors.length, 2, 'every violation is listed.');
+        });
+    });
+
+    t.test('undeclared status code without default', function (t) {
+        t.plan(2);
+
+        var api = JSON.parse(JSON.stringify(require('./fixtures/defs/pets.json'))),
+            app = express();
+
+        delete api.paths['/pets'].get.responses.default;
+
+        app.use(swaggerize({
+            api: api,
+            handlers: {
+                pets: {
+                    $get: function (req, res) {
+                        res.status(201).send([]);
+                    }
+                }
+            },
+            validateResponses: 'error'
+        }));
+
+        request(app).get('/v1/petstore/pets').end(function (error, response) {
+            t.strictEqual(response.statusCode, 500, '500 status.');
+            t.ok(/Undeclared response status code: 201/.test(response.body.errors[0].detail), 'status reported.');
+        });
+    });
+
+    t.test('missing declared header', function (t) {
+        t.plan(2);
+
+        var api = JSON.parse(JSON.stringify(require('./fixtures/defs/pets.json'))),
+            app = express();
+
+        api.paths['/pets'].get.responses['200'].headers = {
+            'X-Total-Count': { type: 'integer' }
+        };
+
+        app.use(swaggerize({
+            api: api,
+            handlers: {
+                pets: {
+                    $get: function (req, res) {
+                        res.json([]);
+                    }
+                }
+            },
+            validateResponses: true
+        }));
+
+        request(app).get('/v1/petstore/pets').end(function (error, response) {
+            t.strictEqual(response.statusCode, 500, '500 status.');
+            t.ok(/X-Total-Count/.test(response.body.errors[0].detail), 'header reported.');
+        });
+    });
+
+    t.test('log mode reports without changing the response', function (t) {
+        t.plan(3);
+
+        var logged = [];
+        var app = makeApp({
+            pets: {
+                $get: function (req, res) {
+                    res.type('json').send(JSON.stringify([{ id: 'one', name: 'Cat' }]));
+                }
+            }
+        }, 'log', function (message) {
+            logged.push(message);
+        });
+
+        request(app).get('/v1/petstore/pets').end(function (error, response) {
+            t.strictEqual(response.statusCode, 200, '200 status.');
+            t.strictEqual(logged.length, 1, 'violation logged.');
+            t.ok(/GET \/v1\/petstore\/pets/.test(logged[0]), 'log names the request.');
+        });
+    });
+
+    t.test('swaggerDefinition without response validation', function (t) {
+        t.plan(2);
+
+        var app = makeApp({
+            pets: {
+                $get: function (req, res) {
+                    res.json({ operationId: req.swaggerDefinition && req.swaggerDefinition.operationId });
+                }
+            }
+        }, false);
+
+        request(app).get('/v1/petstore/pets').end(function (error, response) {
+            t.strictEqual(response.statusCode, 200, '200 status.');
+            t.strictEqual(response.body.operationId, 'findPets', 'operation attached.');
+        });
+    });
+});
@@ -0,0 +1,190 @@
+'use strict';
+
+var test = require('tape'),
+    swaggerize = require('../lib'),
+    express = require('express'),
+    request = require('supertest');
+
+function operation(security) {
+    var op = {
+        responses: {
+            200: {
+                description: 'ok'
+            }
+        }
+    };
+    if (security) {
+        op.security = security;
+    }
+    return {
+        get: op
+    };
+}
+
+function makeApi() {
+    return {
+        swagger: '2.0',
+        info: {
+            title: 'Secured',
+            version: '1.0.0'
+        },
+        basePath: '/v1',
+        security: [{ apiKeyHeader: [] }],
+        paths: {
+            '/open': operation([]),
+            '/global': operation(),
+            '/either': operation([{ basic: [] }, { apiKeyQuery: [] }]),
+            '/both': operation([{ apiKeyHeader: [], basic: [] }]),
+            '/scoped': operation([{ oauth: ['write'] }])
+        },
+        securityDefinitions: {
+            apiKeyHeader: { type: 'apiKey', in: 'header', name: 'x-api-key' },
+            apiKeyQuery: { type: 'apiKey', in: 'query', name: 'api_key' },
+            basic: { type: 'basic' },
+            oauth: {
+                type: 'oauth2',
+                flow: 'implicit',
+                authorizationUrl: 'http://example.com/auth',
+                scopes: { read: 'read', write: 'write' }
+            }
+        }
+    };
+}
+
+function respond(req, res) {
+    res.json(req.auth || null);
+}
+
+function basic(username, password) {
+    return 'Basic ' + Buffer.from(username + ':' + password).toString('base64');
+}
+
+test('security', function (t) {
+    var app = express();
+
+    app.use(swaggerize({
+        api: makeApi(),
+        handlers: {
+            open: { $get: respond },
+            global: { $get: respond },
+            either: { $get: respond },
+            both: { $get: respond },
+            scoped: { $get: respond }
+        },
+        verify: {
+            apiKeyHeader: function (credentials, req, callback) {
+                callback(null, credentials.key === 'secret' && { client: 'header' });
+            },
+            apiKeyQuery: function (credentials, req, callback) {
+                callback(null, credentials.key === 'secret' && { client: 'query' });
+            },
+            basic: function (credentials, req, callback) {
+                callback(null, credentials.password === 'pass' && { user: credentials.username });
+            },
+            oauth: function (credentials, req, callback) {
+                var tokens = {
+                    reader: { scopes: 'read' },
+                    writer: { scopes: ['read', 'write'] }
+                };
+                callback(null, tokens[credentials.token]);
+            }
+        }
+    }));
+
+    t.test('empty security opts out of global security', function (t) {
+        t.plan(1);
+
+        request(app).get('/v1/open').end(function (error, response) {
+            t.strictEqual(response.statusCode, 200, '200 status.');
+        });
+    });
+
+    t.test('global security', function (t) {
+        t.plan(4);
+
+        request(app).get('/v1/global').end(function (error, response) {
+            t.strictEqual(response.statusCode, 401, '401 without credentials.');
+            t.ok(!response.headers['www-authenticate'], 'no challenge for api keys.');
+
+            request(app).get('/v1/global').set('x-api-key', 'secret').end(function (error, response) {
+                t.strictEqual(response.statusCode, 200, '200 status.');
+                t.deepEqual(response.body, { apiKeyHeader: { client: 'header' } }, 'req.auth set.');
+            });
+        });
+    });
+
+    t.test('any requirement object', function (t) {
+        t.plan(5);
+
+        request(app).get('/v1/either').set('Authorization', basic('ann', 'pass')).end(function (error, response) {
+            t.deepEqual(response.body, { basic: { user: 'ann' } }, 'first requirement.');
+
+            request(app).get('/v1/either?api_key=secret').end(function (error, response) {
+                t.deepEqual(response.body, { apiKeyQuery: { client: 'query' } }, 'second requirement.');
+
+                request(app).get('/v1/either').set('Authorization', basic('ann', 'wrong')).end(function (error, response) {
+                    t.strictEqual(response.statusCode, 401, '401 status.');
+                    t.strictEqual(response.headers['www-authenticate'], 'Basic realm="Secured"', 'basic challenge.');
+                    t.strictEqual(response.body.errors[0].detail, 'Invalid credentials for basic.', 'detail.');
+                });
+            });
+        });
+    });
+
+    t.test('every scheme of a requirement object', function (t) {
+        t.plan(3);
+
+        request(app).get('/v1/both').set('x-api-key', 'secret').end(function (error, response) {
+            t.strictEqual(response.statusCode, 401, '401 with one scheme.');
+
+            request(app).get('/v1/both').set('x-api-key', 'secret').set('Authorization', basic('ann', 'pass')).end(function (error, response) {
+                t.strictEqual(response.statusCode, 200, '200 with both.');
+                t.deepEqual(response.body, { apiKeyHeader: { client: 'header' }, basic: { user: 'ann' } }, 'both results.');
+            });
+        });
+    });
+
+    t.test('oauth2 scopes', function (t) {
+        t.plan(7);
+
+        request(app).get('/v1/scoped').end(function (error, response) {
+            t.strictEqual(response.statusCode, 401, '401 without a token.');
+            t.strictEqual(response.headers['www-authenticate'], 'Bearer realm="Secured"', 'bearer challenge.');
+
+            request(app).get('/v1/scoped').set('Authorization', 'Bearer unknown').end(function (error, response) {
+                t.strictEqual(response.headers['www-authenticate'], 'Bearer realm="Secured", error="invalid_token"', 'invalid token.');
+
+                request(app).get('/v1/scoped').set('Authorization', 'Bearer reader').end(function (error, response) {
+                    t.strictEqual(response.statusCode, 403, '403 without the scope.');
+                    t.strictEqual(response.headers['www-authenticate'], 'Bearer realm="Secured", error="insufficient_scope", scope="write"', 'insufficient scope.');
+
+                    request(app).get('/v1/scoped').set('Authorization', 'Bearer writer').end(function (error, response) {
+                        t.strictEqual(response.statusCode, 200, '200 with the scope.');
+                        t.deepEqual(response.body.oauth.scopes, ['read', 'write'], 'req.auth set.');
+                    });
+                });
+            });
+        });
+    });
+});
+
+test('security with a single verify function', function (t) {
+    var app = express();
+
+    t.plan(2);
+
+    app.use(swaggerize({
+        api: makeApi(),
+        handlers: {
+            global: { $get: respond }
+        },
+        verify: function (credentials, req, callback) {
+            callback(null, { scheme: credentials.scheme });
+        }
+    }));
+
+    request(app).get('/v1/global').set('x-api-key', 'any').end(function (error, response) {
+        t.strictEqual(response.statusCode, 200, '200 status.');
+        t.deepEqual(response.body, { apiKeyHeader: { scheme: 'apiKeyHeader' } }, 'scheme name passed.');
+    });
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+var test = require('tape'),
+    swaggerize = require('../lib'),
+    express = require('express'),
+    path = require('path');
+
+function api() {
+    return {
+        swagger: '2.0',
+        info: { title: 'strict', version: '1.0.0' },
+        basePath: '/v1',
+        paths: {
+            '/users': {
+                get: { operationId: 'listUsers', responses: { 200: { description: 'ok' } } }
+            },
+            '/users/{id}': {
+                parameters: [
+                    { name: 'id', in: 'path', required: true, type: 'string' }
+                ],
+                get: { operationId: 'getUser', responses: { 200: { description: 'ok' } } }
+            }
+        }
+    };
+}
+
+function handler(req, res) {
+    res.json({});
+}
+
+test('strict', function (t) {
+
+    t.test('matching api and handlers', function (t) {
+        t.plan(1);
+
+        t.doesNotThrow(function () {
+            express().use(swaggerize({
+                api: api(),
+                strict: true,
+                handlers: {
+                    users: {
+                        $get: handler,
+                        '{id}': {
+                            $get: handler
+                        }
+                    }
+                }
+            }));
+        }, 'mounted.');
+    });
+
+    t.test('every problem reported', function (t) {
+        t.plan(6);
+
+        var broken = api(),
+            error;
+
+        broken.paths['/users/{id}'].parameters = [];
+        broken.paths['/users/{id}'].delete = { operationId: 'getUser', responses: { 204: { description: 'gone' } } };
+        broken.securityDefinitions = {
+            session: { type: 'apiKey', name: 'session', in: 'header', 'x-authorize': './missing/authorize.js' }
+        };
+
+        try {
+            express().use(swaggerize({
+                api: broken,
+                strict: true,
+                handlers: {
+                    users: {
+                        $get: handler,
+                        $put: handler,
+                        '{id}': {
+                            $get: handler
+                        }
+                    }
+                }
+            }));
+        }
+        catch (err) {
+            error = err;
+        }
+
+        t.ok(error && /^Strict mode found 6 problem\(s\):/.test(error.message), 'aggregated.');
+        t.deepEqual(error.problems.filter(function (problem) {
+            return /has no handler/.test(problem);
+        }), ['DELETE /users/{id} (getUser) has no handler.'], 'missing handler.');
+        t.ok(error.problems.indexOf('Handler PUT /users has no operation.') > -1, 'orphan handler.');
+        t.ok(error.problems.indexOf('x-authorize of session (./missing/authorize.js) can not be resolved.') > -1, 'unresolved x-authorize.');
+        t.ok(error.problems.indexOf('operationId getUser is used by GET /users/{id}, DELETE /users/{id}.') > -1, 'duplicate operationId.');
+        t.ok(error.problems.indexOf('GET /users/{id} (getUser) does not declare path parameter id.') > -1, 'missing path parameter.');
+    });
+
+    t.test('handlers directory', function (t) {
+        t.plan(2);
+
+        var error;
+
+        try {
+            express().use(swaggerize({
+                api: path.join(__dirname, 'fixtures/defs/pets.json'),
+                handlers: path.join(__dirname, 'fixtures/handlers'),
+                strict: true
+            }));
+        }
+        catch (err) {
+            error = err;
+        }
+
+        t.ok(error, 'thrown.');
+        t.deepEqual(error.problems, ['POST /upload (uploadFile) has no handler.'], 'operation without a handler file.');
+    });
+
+    t.test('off by default', function (t) {
+        t.plan(1);
+
+        t.doesNotThrow(function () {
+            express().use(swaggerize({
+                api: api(),
+                handlers: {
+                    users: {
+                        $get: handler,
+                        $put: handler
+                    }
+                }
+            }));
+        }, 'mismatches ignored.');
+    });
+});
@@ -31,7 +31,7 @@ test('swaggerize', function (t) {
         t.ok(app.swagger.hasOwnProperty('routes'), 'app.swagger has routes property.');
         t.ok(app.swagger.routes, 'app.swagger.routes is an object.');
 
-        t.strictEqual(app.mountpath, '/v1/petstore', 'mount path set.');
+        t.strictEqual(app.swagger.api.basePath, '/v1/petstore', 'base path set.');
     });
 
     t.test('api as path', function (t) {
@@ -104,7 +104,50 @@ test('swaggerize', function (t) {
         request(app).put('/v1/petstore/pets').end(function (error, response) {
             t.ok(!error, 'no error.');
             t.strictEqual(response.statusCode, 405, '405 status.');
-            t.strictEqual(response.headers.allow, 'GET, POST', 'Allow Header')
+            t.strictEqual(response.headers.allow, 'GET, HEAD, POST, OPTIONS', 'Allow Header')
+        });
+    });
+
+    t.test('options /pets', function (t) {
+        t.plan(3);
+        request(app).options('/v1/petstore/pets').end(function (error, response) {
+            t.ok(!error, 'no error.');
+            t.strictEqual(response.statusCode, 204, '204 status.');
+            t.strictEqual(response.headers.allow, 'GET, HEAD, POST, OPTIONS', 'Allow Header');
+        });
+    });
+
+    t.test('head /pets', function (t) {
+        t.plan(4);
+        request(app).head('/v1/petstore/pets').end(function (error, response) {
+            t.ok(!error, 'no error.');
+            t.strictEqual(response.statusCode, 200, '200 status.');
+            t.ok(/application\/json/.test(response.headers['content-type']), 'GET headers.');
+            t.ok(!response.text, 'no body.');
+        });
+    });
+
+});
+
+test('describeOptions', function (t) {
+
+    var app = express();
+
+    app.use(swaggerize({
+        api: require('./fixtures/defs/pets.json'),
+        handlers: path.join(__dirname, 'fixtures/handlers'),
+        describeOptions: true
+    }));
+
+    t.test('options /pets', function (t) {
+        t.plan(3);
+        request(app).options('/v1/petstore/pets').end(function (error, response) {
+            t.strictEqual(response.statusCode, 200, '200 status.');
+            t.strictEqual(response.headers.allow, 'GET, HEAD, POST, OPTIONS', 'Allow Header');
+            t.deepEqual(response.body, {
+                GET: { consumes: ['application/json'], produces: ['application/json'] },
+                POST: { consumes: ['application/json'], produces: ['application/json'] }
+            }, 'media types described.');
         });
     });
 
@@ -195,11 +238,20 @@ test('input validation', function (t) {
     t.test('form data', function (t) {
         t.plan(2);
 
-        request(app).post('/v1/petstore/upload').send('upload=asdf').send('name=thing').end(function (error, response) {
+        request(app).post('/v1/petstore/upload').attach('upload', Buffer.from('asdf'), 'upload.txt').field('name', 'thing').end(function (error, response) {
             t.ok(!error, 'no error.');
             t.strictEqual(response.statusCode, 200, '200 status.');
         });
     });
+
+    t.test('form data in an undeclared media type', function (t) {
+        t.plan(2);
+
+        request(app).post('/v1/petstore/upload').send('upload=asdf').send('name=thing').end(function (error, response) {
+            t.strictEqual(response.statusCode, 415, '415 status.');
+            t.ok(/multipart\/form-data/.test(response.body.errors[0].detail), 'declared media types listed.');
+        });
+    });
 });
 
 test('yaml support', function (t) {
@@ -228,21 +280,245 @@ test('yaml support', function (t) {
 });
 
 test('express options', function (t) {
-    var app = express();
+    var app = express(),
+        swagger = swaggerize({
+            api: require('./fixtures/defs/pets.json'),
+            handlers: path.join(__dirname, 'fixtures/handlers'),
+            express: {
+                'trust proxy': true,
+                'view engine': true
+            }
+        });
+
+    t.plan(4);
+
+    app.use(swagger);
+
+    request(app).get('/v1/petstore/pets').end(function (error, response) {
+        t.equal(swagger.get('trust proxy'), true, 'express override took effect.');
+        t.equal(swagger.get('view engine'), true, 'express override took effect.');
+        t.equal(app.get('trust proxy'), false, 'parent settings untouched.');
+        t.equal(app.get('x-powered-by'), true, 'parent defaults untouched.');
+    });
+});
+
+test('multiple instances', function (t) {
+    var app = express(),
+        v1 = swaggerize({
+            api: JSON.parse(JSON.stringify(require('./fixtures/defs/pets.json'))),
+            handlers: path.join(__dirname, 'fixtures/handlers'),
+            errorname: 'V1Error',
+            express: {
+                'json spaces': 2
+            }
+        }),
+        v2 = swaggerize({
+            api: JSON.parse(JSON.stringify(require('./fixtures/defs/pets.json'))),
+            handlers: path.join(__dirname, 'fixtures/handlers'),
+            errorname: 'V2Error',
+            errorFormatter: 'problem',
+            docspath: '/docs'
+        });
+
+    app.use(bodyParser.json());
+    app.use('/v1', v1);
+    app.use('/v2', v2);
+
+    t.test('each instance has its own api', function (t) {
+        t.plan(4);
+
+        t.strictEqual(v1.swagger.api.basePath, '/v1', 'v1 base path.');
+        t.strictEqual(v2.swagger.api.basePath, '/v2', 'v2 base path.');
+        t.strictEqual(app.swagger, v1.swagger, 'first instance exposed on the parent.');
+        t.strictEqual(app.mountpath, '/', 'parent mount path untouched.');
+    });
+
+    t.test('each instance has its own settings', function (t) {
+        t.plan(2);
+
+        request(app).get('/v1/api-docs').end(function (error, response) {
+            t.ok(/\n  /.test(response.text), 'v1 json spaces.');
 
-    t.plan(2);
+            request(app).get('/v2/docs').end(function (error, response) {
+                t.ok(!/\n/.test(response.text), 'v2 default json spaces.');
+            });
+        });
+    });
 
+    t.test('each instance has its own errors', function (t) {
+        t.plan(4);
+
+        request(app).get('/v1/pets?limit=a').end(function (error, response) {
+            t.strictEqual(response.statusCode, 400, 'v1 400 status.');
+            t.strictEqual(response.body.errors[0].name, 'V1Error', 'v1 errorname.');
+
+            request(app).get('/v2/pets?limit=a').end(function (error, response) {
+                t.ok(/application\/problem\+json/.test(response.headers['content-type']), 'v2 formatter.');
+                t.strictEqual(response.body.errors[0].name, 'V2Error', 'v2 errorname.');
+            });
+        });
+    });
+
+    t.test('each instance has its own docs route', function (t) {
+        t.plan(3);
+
+        request(app).get('/v1/api-docs').end(function (error, response) {
+            t.strictEqual(response.statusCode, 200, 'v1 docs.');
+
+            request(app).get('/v2/docs').end(function (error, response) {
+                t.strictEqual(response.statusCode, 200, 'v2 docs.');
+
+                request(app).get('/v2/api-docs').end(function (error, response) {
+                    t.strictEqual(response.statusCode, 404, 'v2 has no v1 docs route.');
+                });
+            });
+        });
+    });
+});
+
+test('all errors', function (t) {
+    var app = express(),
+        api = JSON.parse(JSON.stringify(require('./fixtures/defs/pets.json')));
+
+    api.paths['/pets'].get.parameters.push({
+        name: 'x-request-id',
+        in: 'header',
+        required: true,
+        type: 'string'
+    });
+
+    app.use(bodyParser.json());
     app.use(swaggerize({
-        api: require('./fixtures/defs/pets.json'),
-        handlers: path.join(__dirname, 'fixtures/handlers'),
-        express: {
-            'trust proxy': true,
-            'view engine': true
+        api: api,
+        allErrors: true,
+        handlers: {
+            pets: {
+                $get: function (req, res) {
+                    res.json([]);
+                },
+                $post: function (req, res) {
+                    res.json(req.body);
+                }
+            }
         }
     }));
 
-    request(app).get('/v1/petstore/pets').end(function (error, response) {
-        t.equal(app.get('trust proxy'), true, 'express override took effect.');
-        t.equal(app.get('view engine'), true, 'express override took effect.');
+    t.test('every failing parameter reported', function (t) {
+        t.plan(4);
+
+        request(app).get('/v1/petstore/pets?limit=abc').end(function (error, response) {
+            t.strictEqual(response.statusCode, 400, '400 status.');
+            t.strictEqual(response.body.errors.length, 2, 'two errors.');
+            t.deepEqual(response.body.errors[0].source, { in: 'query', name: 'limit' }, 'query source.');
+            t.deepEqual(response.body.errors[1].source, { in: 'header', name: 'x-request-id' }, 'header source.');
+        });
+    });
+
+    t.test('body errors carry JSON pointers', function (t) {
+        t.plan(3);
+
+        request(app).post('/v1/petstore/pets').send({ id: 'one', tag: 5 }).end(function (error, response) {
+            t.strictEqual(response.statusCode, 400, '400 status.');
+            t.strictEqual(response.body.errors.length, 3, 'every body error.');
+            t.deepEqual(response.body.errors.map(function (err) {
+                return err.source.pointer;
+            }).sort(), ['/id', '/name', '/tag'], 'pointers.');
+        });
+    });
+
+    t.test('valid input still passes', function (t) {
+        t.plan(1);
+
+        request(app).get('/v1/petstore/pets?limit=1').set('x-request-id', 'abc').end(function (error, response) {
+            t.strictEqual(response.statusCode, 200, '200 status.');
+        });
+    });
+});
+
+test('swagger params', function (t) {
+    var app = express(),
+        api = {
+            swagger: '2.0',
+            info: { title: 'params', version: '1.0.0' },
+            basePath: '/v1',
+            paths: {
+                '/items/{id}': {
+                    post: {
+                        parameters: [
+                            { name: 'id', in: 'path', required: true, type: 'integer' },
+                            { name: 'csv', in: 'query', type: 'array', items: { type: 'integer' } },
+                            { name: 'ssv', in: 'query', type: 'array', collectionFormat: 'ssv', items: { type: 'string' } },
+                            { name: 'tsv', in: 'query', type: 'array', collectionFormat: 'tsv', items: { type: 'string' } },
+                            { name: 'pipes', in: 'query', type: 'array', collectionFormat: 'pipes', items: { type: 'boolean' } },
+                            { name: 'multi', in: 'query', type: 'array', collectionFormat: 'multi', items: { type: 'string' } },
+                            { name: 'limit', in: 'query', type: 'integer', default: 10 },
+                            { name: 'sort', in: 'query', type: 'array', items: { type: 'string' }, default: 'name,id' },
+                            { name: 'x-count', in: 'header', type: 'integer' },
+                            { name: 'item', in: 'body', schema: { type: 'object' } }
+                        ],
+                        responses: {
+                            200: { description: 'the params' }
+                        }
+                    }
+                }
+            }
+        };
+
+    app.use(bodyParser.json());
+    app.use(swaggerize({
+        api: api,
+        handlers: {
+            items: {
+                '{id}': {
+                    $post: function (req, res) {
+                        res.json(req.swagger.params);
+                    }
+                }
+            }
+        }
+    }));
+
+    t.test('grouped by location', function (t) {
+        t.plan(5);
+
+        request(app).post('/v1/items/7').set('x-count', '3').send({ name: 'thing' }).end(function (error, response) {
+            t.strictEqual(response.statusCode, 200, '200 status.');
+            t.deepEqual(Object.keys(response.body).sort(), ['body', 'cookie', 'formData', 'header', 'path', 'query'], 'every location.');
+            t.strictEqual(response.body.path.id, 7, 'path coerced.');
+            t.strictEqual(response.body.header['x-count'], 3, 'typed header kept.');
+            t.deepEqual(response.body.body.item, { name: 'thing' }, 'body by name.');
+        });
+    });
+
+    t.test('defaults', function (t) {
+        t.plan(2);
+
+        request(app).post('/v1/items/7').send({}).end(function (error, response) {
+            t.strictEqual(response.body.query.limit, 10, 'default applied.');
+            t.deepEqual(response.body.query.sort, ['name', 'id'], 'default split.');
+        });
+    });
+
+    t.test('collection formats', function (t) {
+        t.plan(5);
+
+        request(app).post('/v1/items/7')
+            .query('csv=1,2&ssv=a%20b&tsv=a%09b&pipes=true|false&multi=a&multi=b')
+            .send({})
+            .end(function (error, response) {
+                t.deepEqual(response.body.query.csv, [1, 2], 'csv.');
+                t.deepEqual(response.body.query.ssv, ['a', 'b'], 'ssv.');
+                t.deepEqual(response.body.query.tsv, ['a', 'b'], 'tsv.');
+                t.deepEqual(response.body.query.pipes, [true, false], 'pipes.');
+                t.deepEqual(response.body.query.multi, ['a', 'b'], 'multi.');
+            });
+    });
+
+    t.test('single multi value not split', function (t) {
+        t.plan(1);
+
+        request(app).post('/v1/items/7').query('multi=a%26b').send({}).end(function (error, response) {
+            t.deepEqual(response.body.query.multi, ['a&b'], 'kept whole.');
+        });
     });
 });
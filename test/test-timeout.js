@@ -0,0 +1,234 @@
+'use strict';
+
+var test = require('tape'),
+    swaggerize = require('../lib'),
+    express = require('express'),
+    request = require('supertest');
+
+test('timeouts', function (t) {
+    var app = express(),
+        aborted = {},
+        api = {
+            swagger: '2.0',
+            info: { title: 'timeouts', version: '1.0.0' },
+            basePath: '/v1',
+            paths: {
+                '/slow': {
+                    'x-timeout': 50,
+                    get: {
+                        responses: {
+                            200: { description: 'late' }
+                        }
+                    },
+                    put: {
+                        'x-timeout': { ms: 20, status: 504 },
+                        responses: {
+                            200: { description: 'late' }
+                        }
+                    }
+                },
+                '/quick': {
+                    get: {
+                        responses: {
+                            200: { description: 'in time' }
+                        }
+                    }
+                },
+                '/partial': {
+                    get: {
+                        'x-timeout': 50,
+                        responses: {
+                            200: { description: 'started in time' }
+                        }
+                    }
+                },
+                '/failing': {
+                    get: {
+                        responses: {
+                            200: { description: 'fails late' }
+                        }
+                    }
+                }
+            }
+        };
+
+    app.use(swaggerize({
+        api: api,
+        timeout: 200,
+        handlers: {
+            slow: {
+                $get: function (req, res) {
+                    req.swagger.signal.addEventListener('abort', function () {
+                        aborted.get = req.swagger.signal.reason.status;
+                    });
+                    setTimeout(function () {
+                        res.set('X-Late', 'yes');
+                        res.json({ late: true });
+                    }, 100);
+                },
+                $put: function (req, res) {
+                    setTimeout(function () {
+                        res.json({ late: true });
+                    }, 60);
+                }
+            },
+            quick: {
+                $get: function (req, res) {
+                    res.json({ aborted: req.swagger.signal.aborted });
+                }
+            },
+            partial: {
+                $get: function (req, res) {
+                    res.type('text').write('partial');
+                    setTimeout(function () {
+                        res.end(' and late');
+                    }, 100);
+                }
+            },
+            failing: {
+                $get: function (req, res, next) {
+                    setTimeout(function () {
+                        next(new Error('too late'));
+                    }, 300);
+                }
+            }
+        }
+    }));
+
+    t.test('path x-timeout', function (t) {
+        t.plan(5);
+
+        request(app).get('/v1/slow').end(function (error, response) {
+            t.strictEqual(response.statusCode, 503, '503 status.');
+            t.strictEqual(response.body.errors[0].title, 'Request Timeout', 'title.');
+            t.strictEqual(response.body.errors[0].detail, 'No response within 50 ms', 'detail.');
+            t.strictEqual(aborted.get, 503, 'signal aborted.');
+            t.ok(!response.headers['x-late'], 'late writes ignored.');
+        });
+    });
+
+    t.test('operation x-timeout', function (t) {
+        t.plan(2);
+
+        request(app).put('/v1/slow').end(function (error, response) {
+            t.strictEqual(response.statusCode, 504, '504 status.');
+            t.strictEqual(response.body.errors[0].status, 504, 'status entry.');
+        });
+    });
+
+    t.test('in time', function (t) {
+        t.plan(2);
+
+        request(app).get('/v1/quick').end(function (error, response) {
+            t.strictEqual(response.statusCode, 200, '200 status.');
+            t.deepEqual(response.body, { aborted: false }, 'signal not aborted.');
+        });
+    });
+
+    t.test('response started', function (t) {
+        t.plan(2);
+
+        var started = Date.now();
+
+        request(app).get('/v1/partial').timeout(1000).end(function (error) {
+            t.ok(error, 'connection closed.');
+            t.ok(Date.now() - started < 1000, 'not left waiting.');
+        });
+    });
+
+    t.test('default timeout', function (t) {
+        t.plan(2);
+
+        request(app).get('/v1/failing').end(function (error, response) {
+            t.strictEqual(response.statusCode, 503, '503 status.');
+            setTimeout(function () {
+                t.pass('late error ignored.');
+            }, 150);
+        });
+    });
+});
+
+test('timeouts without AbortController', function (t) {
+    var app = express(),
+        platform = global.AbortController,
+        aborted = [],
+        signal;
+
+    app.use(swaggerize({
+        api: {
+            swagger: '2.0',
+            info: { title: 'timeouts', version: '1.0.0' },
+            basePath: '/v1',
+            paths: {
+                '/slow': {
+                    get: {
+                        'x-timeout': 20,
+                        responses: {
+                            200: { description: 'late' }
+                        }
+                    }
+                }
+            }
+        },
+        handlers: {
+            slow: {
+                $get: function (req, res) {
+                    signal = req.swagger.signal;
+                    req.swagger.signal.onabort = function (event) {
+                        aborted.push(event.type);
+                    };
+                    req.swagger.signal.addEventListener('abort', function () {
+                        aborted.push(req.swagger.signal.reason.status);
+                    }, { once: true });
+                    setTimeout(function () {
+                        res.json({ late: true });
+                    }, 60);
+                }
+            }
+        }
+    }));
+
+    t.plan(3);
+    delete global.AbortController;
+
+    request(app).get('/v1/slow').end(function (error, response) {
+        global.AbortController = platform;
+        t.strictEqual(response.statusCode, 503, '503 status.');
+        t.deepEqual(aborted, ['abort', 503], 'onabort and listeners called.');
+        t.strictEqual(Object.getPrototypeOf(signal), Object.prototype, 'stand-in signal.');
+    });
+});
+
+test('timeout declarations', function (t) {
+    t.plan(2);
+
+    function mount(timeout) {
+        swaggerize({
+            api: {
+                swagger: '2.0',
+                info: { title: 'timeouts', version: '1.0.0' },
+                paths: {
+                    '/things': {
+                        get: {
+                            'x-timeout': timeout,
+                            responses: { 200: { description: 'ok' } }
+                        }
+                    }
+                }
+            },
+            handlers: {
+                things: {
+                    $get: function () {}
+                }
+            }
+        }).emit('mount', express());
+    }
+
+    t.throws(function () {
+        mount(-1);
+    }, /x-timeout/, 'invalid milliseconds rejected.');
+
+    t.throws(function () {
+        mount({ ms: 100, status: 500 });
+    }, /x-timeout status/, 'invalid status rejected.');
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+var test = require('tape'),
+    swaggerize = require('../lib'),
+    express = require('express'),
+    request = require('supertest'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path');
+
+function handlerSource(name) {
+    return '\'use strict\';\n\nmodule.exports = {\n    get: function (req, res) {\n        res.json([{ id: 0, name: \'' + name + '\' }]);\n    }\n};\n';
+}
+
+test('watch', function (t) {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'swaggerize-watch-')),
+        apiPath = path.join(dir, 'api.json'),
+        handlerPath = path.join(dir, 'handlers', 'pets.js'),
+        app = express(),
+        swagger;
+
+    fs.mkdirSync(path.join(dir, 'handlers'));
+    fs.writeFileSync(apiPath, fs.readFileSync(path.join(__dirname, 'fixtures/defs/pets.json')));
+    fs.writeFileSync(handlerPath, handlerSource('Cat'));
+
+    swagger = swaggerize({
+        api: apiPath,
+        handlers: path.join(dir, 'handlers'),
+        watch: true,
+        watchDelay: 50
+    });
+    app.use(swagger);
+
+    t.test('serves the initial routes', function (t) {
+        t.plan(1);
+
+        request(app).get('/v1/petstore/pets').end(function (error, response) {
+            t.strictEqual(response.body[0].name, 'Cat', 'initial handler.');
+        });
+    });
+
+    t.test('reloads changed handlers', function (t) {
+        t.plan(2);
+
+        swagger.once('reload', function (swaggerProperty) {
+            t.strictEqual(swaggerProperty, app.swagger, 'app.swagger passed.');
+            request(app).get('/v1/petstore/pets').end(function (error, response) {
+                t.strictEqual(response.body[0].name, 'Dog', 'new handler.');
+            });
+        });
+
+        fs.writeFileSync(handlerPath, handlerSource('Dog'));
+    });
+
+    t.test('reloads a changed spec', function (t) {
+        t.plan(2);
+
+        var api = JSON.parse(fs.readFileSync(apiPath));
+
+        delete api.paths['/pets'].post;
+
+        swagger.once('reload', function () {
+            t.ok(!app.swagger.api.paths['/pets'].post, 'app.swagger.api updated.');
+            request(app).post('/v1/petstore/pets').send({ id: 0, name: 'Cat' }).end(function (error, response) {
+                t.strictEqual(response.statusCode, 405, 'removed operation no longer routed.');
+            });
+        });
+
+        fs.writeFileSync(apiPath, JSON.stringify(api));
+    });
+
+    t.test('keeps the routes when the spec is broken', function (t) {
+        t.plan(2);
+
+        swagger.once('reloadError', function (error) {
+            t.ok(error instanceof Error, 'error reported.');
+            request(app).get('/v1/petstore/pets').end(function (error, response) {
+                t.strictEqual(response.body[0].name, 'Dog', 'previous routes kept.');
+            });
+        });
+
+        fs.writeFileSync(apiPath, '{ "swagger": ');
+    });
+
+    t.test('unwatch', function (t) {
+        t.plan(1);
+
+        app.swagger.unwatch();
+        t.pass('stopped watching.');
+    });
+});